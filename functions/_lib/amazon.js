@@ -0,0 +1,120 @@
+import { normalizeSpaces } from "./listing.js";
+import { elementHtmlById, fragmentText } from "./html.js";
+
+// Amazon detail pages have no Product JSON-LD – the listing lives in fixed element ids:
+// #productTitle, #feature-bullets, #productDescription, the product details tables / detail
+// bullets (technical details, ASIN, Best Sellers Rank) and #bylineInfo (brand).
+
+const AMAZON_HOST = /(^|\.)amazon\.(com|de|fr|it|es|nl|pl|se|co\.uk|com\.be|com\.tr|ca|com\.mx|co\.jp|in|com\.au)$/i;
+
+// "Best Sellers Rank" in the EU marketplace languages
+const BSR_LABEL = /best\s*sellers?\s*rank|bestseller-?rang|meilleures ventes|classifica (?:dei )?bestseller|los más vendidos|bestsellerrang|ranking bestseller|bästsäljarrang|bestsellers-?rang/i;
+const BRAND_LABEL = /^(brand|marke|marque|marca|merk|marka|varumärke|brand name|markenname)$/i;
+
+export function isAmazonUrl(url) {
+  try {
+    return AMAZON_HOST.test(new URL(url).hostname);
+  } catch {
+    return false;
+  }
+}
+
+export function looksLikeAmazonPage(html) {
+  return /\bid=["']productTitle["']/i.test(String(html || ""));
+}
+
+// Returns { asin, title, brand, bullets, description, technical_details: { key: value },
+//           bsr: [{ rank, category }], rating, review_count } – empty values when missing
+export function parseAmazonPage(html, url = "") {
+  const s = String(html || "");
+
+  const details = {};
+  for (const id of [
+    "productDetails_techSpec_section_1",
+    "productDetails_techSpec_section_2",
+    "productDetails_detailBullets_sections1",
+    "technicalSpecifications_section_1",
+  ]) {
+    Object.assign(details, tableRows(elementHtmlById(s, id)));
+  }
+  Object.assign(details, detailBullets(elementHtmlById(s, "detailBullets_feature_div")));
+
+  const bsrKey = Object.keys(details).find((k) => BSR_LABEL.test(k));
+  const bsrText = bsrKey ? details[bsrKey] : fragmentText(elementHtmlById(s, "SalesRank")).replace(BSR_LABEL, "");
+  if (bsrKey) delete details[bsrKey];
+
+  const asinKey = Object.keys(details).find((k) => k.toUpperCase() === "ASIN");
+  const asin =
+    (String(url).match(/\/(?:dp|gp\/product|gp\/aw\/d)\/([A-Z0-9]{10})(?:[/?#]|$)/i) || [])[1] ||
+    (s.match(/<input[^>]*\bid=["']ASIN["'][^>]*\bvalue=["']([A-Z0-9]{10})["']/i) || [])[1] ||
+    (asinKey ? details[asinKey] : "");
+
+  return {
+    asin: String(asin || "").toUpperCase(),
+    title: fragmentText(elementHtmlById(s, "productTitle")),
+    brand: brandOf(details, fragmentText(elementHtmlById(s, "bylineInfo"))),
+    bullets: listItems(elementHtmlById(s, "feature-bullets")),
+    description: fragmentText(elementHtmlById(s, "productDescription")),
+    technical_details: details,
+    bsr: parseBsr(bsrText),
+    rating: (s.match(/id=["']acrPopover["'][^>]*title=["']([\d.,]+)/i) || [])[1] || "",
+    review_count: fragmentText(elementHtmlById(s, "acrCustomerReviewText")).replace(/[^\d]/g, ""),
+  };
+}
+
+// "#1,234 in Home & Kitchen (See Top 100) #5 in Storage Boxes" / "Nr. 1.234 in Küche" → [{ rank, category }]
+export function parseBsr(text) {
+  const t = normalizeSpaces(String(text || "").replace(/\([^)]*\)/g, " ")).replace(/^[\s:\u200e\u200f]+/, "");
+  const out = [];
+  const re = /(?:#|Nr\.|n\.|nº|n°)?\s*(\d[\d.,\s]*?)\s+(?:in|en|dans|em|w|i)\s+(.+?)(?=\s*(?:#|Nr\.|n\.|nº|n°|\d[\d.,]*\s+(?:in|en|dans|w|i)\s)|$)/gi;
+  let m;
+  while ((m = re.exec(t)) !== null) {
+    const rank = Number(m[1].replace(/[^\d]/g, ""));
+    const category = m[2].trim().replace(/[,;]$/, "");
+    if (rank && category) out.push({ rank, category });
+  }
+  return out;
+}
+
+/* ---------------- HELPERS ---------------- */
+
+// <tr><th>key</th><td>value</td></tr>
+function tableRows(fragment) {
+  const out = {};
+  for (const m of String(fragment || "").matchAll(/<tr[^>]*>\s*<th[^>]*>([\s\S]*?)<\/th>\s*<td[^>]*>([\s\S]*?)<\/td>/gi)) {
+    const key = cleanKey(fragmentText(m[1]));
+    if (key) out[key] = fragmentText(m[2]);
+  }
+  return out;
+}
+
+// <li><span class="a-text-bold">Key : </span><span>Value</span></li>
+function detailBullets(fragment) {
+  const out = {};
+  for (const m of String(fragment || "").matchAll(/<span[^>]*class=["'][^"']*a-text-bold[^"']*["'][^>]*>([\s\S]*?)<\/span>([\s\S]*?)<\/li>/gi)) {
+    const key = cleanKey(fragmentText(m[1]));
+    if (key) out[key] = fragmentText(m[2]);
+  }
+  return out;
+}
+
+function cleanKey(k) {
+  return k.replace(/[\u200e\u200f]/g, "").replace(/\s*:\s*$/, "").trim();
+}
+
+function listItems(fragment) {
+  return [...String(fragment || "").matchAll(/<li\b([^>]*)>([\s\S]*?)<\/li>/gi)]
+    // "Make sure this fits by entering your model number" is not a feature
+    .filter((m) => !/replacementPartsFitmentBullet/i.test(m[1]))
+    .map((m) => fragmentText(m[2]))
+    .filter(Boolean);
+}
+
+function brandOf(details, byline) {
+  const key = Object.keys(details).find((k) => BRAND_LABEL.test(k));
+  if (key) return details[key];
+  const m =
+    byline.match(/^(?:brand|marke|marque|marca|merk|marka|varumärke)\s*:\s*(.+)$/i) ||
+    byline.match(/^(?:visit the|besuche den|visitez la boutique|visita lo store di|visita la tienda de|bezoek de|odwiedź sklep|besök)\s+(.+?)(?:[-\s]store|[-\s]shop|\s+boutique)?$/i);
+  return m ? m[1].trim() : byline;
+}
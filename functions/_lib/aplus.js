@@ -0,0 +1,388 @@
+import { callLLM, resolveProvider, llmErrorMessage } from "./llm.js";
+import { variantToText, normalizeSpaces, termRegExp } from "./listing.js";
+import { outputLanguage, languageCode } from "./marketplaces.js";
+import { CATEGORY_TEMPLATES, isKnownCategory, getTemplate, resolveCategory, forbiddenTermsText } from "./templates.js";
+import { loadRules, scanFields, BLOCKING_SEVERITIES } from "./compliance.js";
+import { repairBudget, MAX_REPAIR_ATTEMPTS } from "./repair.js";
+import { sanitizeFacts } from "./facts.js";
+import { loadProductInfo } from "./pipeline.js";
+import { sanitizeImageFacts } from "./vision.js";
+import { isValidBrandId, getBrand, brandRules, brandRulesText } from "./brands.js";
+
+// A+ Content (Enhanced Brand Content): the standard modules every premium listing ships with –
+// image header with text, comparison chart, four images with text and technical specs.
+// Same product info, brand voice, USPs, output language and compliance lexicon as the listing;
+// every text is checked against the module's character limits and repaired like a listing.
+//
+// content: {
+//   header:      { headline, body, image_brief },
+//   comparison:  { columns: [{ title, image_brief }], rows: [{ label, values: [one per column] }] },
+//   four_images: { headline, blocks: [{ headline, body, image_brief }] × 4 },
+//   tech_specs:  { headline, specs: [{ label, value }] }
+// }
+
+// Character limits of Amazon's standard A+ modules; image sizes for the designer briefs
+export const APLUS_MODULES = {
+  header: { name: "Standard Image Header With Text", image: "970 × 600 px", headline: 150, body: 6000 },
+  comparison: { name: "Standard Comparison Chart", image: "150 × 300 px", title: 80, label: 100, value: 250, columns: 6, rows: [3, 10] },
+  four_images: { name: "Standard Four Image & Text", image: "220 × 220 px", headline: 160, block_headline: 160, block_body: 1000, blocks: 4 },
+  tech_specs: { name: "Standard Technical Specifications", headline: 80, label: 30, value: 500, specs: [4, 16] },
+};
+const MAX_COMPARISON_PRODUCTS = APLUS_MODULES.comparison.columns - 1;
+
+/* ---------------- REQUEST ---------------- */
+
+// body: { marketplace, brand_name, brand?, user_prompt?, facts?, image_facts?, brand_voice?, usp?, category?,
+//         comparison_products?, repair_attempts?, provider?, listing? } – `listing` (a parsed
+//         variant) is already resolved by api/aplus.js. Returns { ok: true, req } or { ok: false, error, status }
+export function parseAplusRequest(env, body) {
+  const bad = (error, status = 400) => ({ ok: false, error, status });
+
+  const llm = resolveProvider(env, body.provider);
+  if (!llm.ok) return bad(llm.error, llm.status);
+
+  const categoryRaw = String(body.category || "auto").trim().toLowerCase();
+  if (categoryRaw !== "auto" && !isKnownCategory(categoryRaw)) {
+    return bad(`Unknown category, expected auto or one of: ${Object.keys(CATEGORY_TEMPLATES).join(", ")}`);
+  }
+
+  if (body.repair_attempts != null) {
+    const n = Number(body.repair_attempts);
+    if (!Number.isInteger(n) || n < 0 || n > MAX_REPAIR_ATTEMPTS) {
+      return bad(`repair_attempts must be an integer 0–${MAX_REPAIR_ATTEMPTS}`);
+    }
+  }
+
+  let facts = null;
+  if (body.facts != null) {
+    const f = sanitizeFacts(body.facts);
+    if (!f.ok) return bad(f.error);
+    facts = f.facts;
+  }
+  const brand = body.brand ? String(body.brand).trim().toLowerCase() : null;
+  if (brand && !isValidBrandId(brand)) return bad("Invalid brand id");
+
+  let imageFacts = null;
+  if (body.image_facts != null) {
+    const f = sanitizeImageFacts(body.image_facts);
+    if (!f.ok) return bad(f.error);
+    imageFacts = f.facts;
+  }
+
+  // other products of the brand for the comparison chart: "Name" or { name, asin?, details? }
+  const rawProducts = body.comparison_products ?? [];
+  if (!Array.isArray(rawProducts)) return bad("comparison_products must be an array");
+  if (rawProducts.length > MAX_COMPARISON_PRODUCTS) {
+    return bad(`Too many comparison_products (${rawProducts.length}), max ${MAX_COMPARISON_PRODUCTS}`);
+  }
+  const comparison = [];
+  for (const p of rawProducts) {
+    const name = normalizeSpaces(typeof p === "string" ? p : p?.name);
+    if (!name) return bad("Each comparison product needs a name");
+    comparison.push({
+      name: name.slice(0, 200),
+      asin: normalizeSpaces(p?.asin).toUpperCase().slice(0, 10),
+      details: String(p?.details || "").trim().slice(0, 2000),
+    });
+  }
+
+  const req = {
+    provider: llm.provider,
+    marketplace: String(body.marketplace || "").trim(),
+    brandName: String(body.brand_name || "").trim(),
+    brand,
+    brandVoice: String(body.brand_voice || "").trim(),
+    usp: String(body.usp || "").trim(),
+    userPromptRaw: String(body.user_prompt || "").trim(),
+    facts,
+    imageFacts,
+    listing: body.listing || null,
+    categoryRaw,
+    comparison,
+    repairAttempts: repairBudget(body.repair_attempts, env),
+  };
+
+  if (!req.marketplace) return bad("Missing marketplace");
+  if (!req.brandName) return bad("Missing brand_name");
+  if (!req.userPromptRaw && !facts && !imageFacts && !req.listing) {
+    return bad("Missing product info – send user_prompt, facts, image_facts or a listing");
+  }
+
+  return { ok: true, req };
+}
+
+/* ---------------- GENERATION ---------------- */
+
+// Returns { status, body } – body: { marketplace, language, category, provider, brand?, content,
+// validation, compliance, repair, scrape? } or { error }
+export async function runAplus(env, req, { signal, usage = { tokens: 0 } } = {}) {
+  const { provider, marketplace, brandName, brandVoice, usp, listing, comparison } = req;
+
+  const { userPrompt, facts, scrape } = await loadProductInfo(env, req);
+  const productText = [userPrompt, listing ? variantToText(listing) : ""].filter(Boolean).join("\n\n");
+  const category = resolveCategory(req.categoryRaw, { jsonldCategory: facts?.category, productText });
+  const template = getTemplate(category.id);
+  const rules = await loadRules(env, { lang: languageCode(marketplace), category: category.id });
+  const brand = req.brand ? await getBrand(env, req.brand) : null;
+  const words = brandRules(brand, marketplace);
+  const columns = comparison.length + 1;
+
+  const instructions = `${aplusInstructions(marketplace, template, columns, words)}
+
+${APLUS_OUTPUT_SPEC}`;
+
+  const context = `Brand name: ${brandName}
+${usp ? `USPs: ${usp}\n` : ""}Marketplace: ${marketplace}
+${brandVoice ? `Brand voice: ${brandVoice}\n` : ""}
+${userPrompt ? `User product info:\n${userPrompt}\n\n` : ""}${listing ? `MAIN LISTING (the A+ content must match its facts, claims and tone):\n${variantToText(listing)}\n\n` : ""}COMPARISON CHART COLUMNS:
+1. ${brandName} – this product
+${comparison.map((p, i) => `${i + 2}. ${p.name}${p.asin ? ` (ASIN ${p.asin})` : ""}${p.details ? `: ${p.details}` : ""}`).join("\n")}`;
+
+  const meta = {
+    marketplace,
+    language: outputLanguage(marketplace),
+    category,
+    provider: { id: provider.id, model: provider.model },
+    ...(brand ? { brand: { id: brand.id, name: brand.name } } : {}),
+    ...(scrape ? { scrape } : {}),
+  };
+
+  try {
+    const call = (instr, input) =>
+      callLLM(env, instr, input, {
+        provider: provider.id,
+        purpose: "aplus",
+        max_output_tokens: 5000,
+        temperature: 0.6,
+        timeoutMs: 90000,
+        usage,
+        format: aplusJsonFormat(),
+        signal,
+      });
+
+    const first = await call(instructions, `${context}\n\nWrite the four A+ modules.`);
+    let content = contentFromJson(first.text);
+    if (!content) return { status: 500, body: { error: `Invalid JSON output from ${provider.name}`, debug: first.raw } };
+
+    // validate + repair: the whole content comes back, only the listed problems may change
+    let result = checkAplus(content, { columns, rules, brandName, words });
+    let attempts = 0;
+    while (!result.ok && attempts < req.repairAttempts) {
+      attempts++;
+      const fix = await call(
+        `${instructions}
+
+You are fixing A+ content that failed the checks. Change ONLY what the FIX list names; keep everything else word for word.`,
+        `${context}
+
+CURRENT A+ CONTENT (JSON):
+${JSON.stringify(content)}
+
+FIX:
+${result.errors.map((e) => `- ${e}`).join("\n")}`
+      );
+      const fixed = contentFromJson(fix.text);
+      if (!fixed) continue;
+      content = fixed;
+      result = checkAplus(content, { columns, rules, brandName, words });
+    }
+
+    return {
+      status: 200,
+      body: {
+        ...meta,
+        content,
+        validation: result.validation,
+        compliance: result.compliance,
+        repair: { attempts, budget: req.repairAttempts, ok: result.ok, still_failing: result.errors },
+      },
+    };
+  } catch (e) {
+    const msg = signal?.aborted ? "Cancelled" : llmErrorMessage(e);
+    return { status: 500, body: { error: msg, ...(e?.code ? { code: e.code, provider: e.provider } : {}) } };
+  }
+}
+
+function aplusInstructions(marketplace, template, columns, words) {
+  const { header, comparison, four_images: four, tech_specs: specs } = APLUS_MODULES;
+  const forbiddenLine = forbiddenTermsText(template);
+  const brandLines = brandRulesText(words);
+
+  return `You are an Amazon A+ Content (Enhanced Brand Content) copywriter.
+
+OUTPUT LANGUAGE: ${outputLanguage(marketplace)} (image briefs in English – they are for our designers)
+
+PRODUCT CATEGORY: ${template.name}
+
+MODULES (hard character limits, including spaces):
+1) header – ${header.name}: headline max ${header.headline} chars; body max ${header.body} chars (aim for 300–600: the product promise in 2–3 short paragraphs); image_brief for a ${header.image} lifestyle/hero image.
+2) comparison – ${comparison.name}: columns: exactly ${columns} (in the order of COMPARISON CHART COLUMNS; title max ${comparison.title} chars, image_brief for a ${comparison.image} product shot each); rows: ${comparison.rows[0]}–${comparison.rows[1]} (label max ${comparison.label} chars), each row has exactly ${columns} values (max ${comparison.value} chars, short: "Yes", "2 l", "Oak"…).${columns === 1 ? " Only our product is given – compare nothing else, the chart lists its key attributes." : ""}
+3) four_images – ${four.name}: headline max ${four.headline} chars; blocks: exactly ${four.blocks}, each headline max ${four.block_headline} chars, body max ${four.block_body} chars (aim for 150–300), image_brief for a ${four.image} image.
+4) tech_specs – ${specs.name}: headline max ${specs.headline} chars; specs: ${specs.specs[0]}–${specs.specs[1]} rows, label max ${specs.label} chars, value max ${specs.value} chars.
+
+IMAGE BRIEFS: what the image shows, angle/setting, props, any on-image text (in the output language) – one or two sentences each.
+
+CONTENT RULES (Amazon A+ guidelines):
+- Only facts from the product info / main listing – never invent specs, numbers, certifications or other products.
+- No medical or health claims, no guarantees or warranties, no prices, discounts, shipping or promotions.
+- No customer reviews or quotes, no competitor mentions, no time-sensitive claims ("new", "best seller", "#1").
+- No URLs, e-mail addresses or contact details.
+${forbiddenLine ? `${forbiddenLine}\n` : ""}${brandLines ? `${brandLines}\n` : ""}- Use the brand voice and the USPs; do not repeat the listing's bullets word for word.`;
+}
+
+const APLUS_OUTPUT_SPEC = `OUTPUT STRUCTURE:
+Return ONLY a JSON object matching the provided schema: { header, comparison, four_images, tech_specs } as described above.`;
+
+function aplusJsonFormat() {
+  const str = { type: "string" };
+  const obj = (properties) => ({
+    type: "object",
+    additionalProperties: false,
+    required: Object.keys(properties),
+    properties,
+  });
+  return {
+    type: "json_schema",
+    name: "aplus_content",
+    strict: true,
+    schema: obj({
+      header: obj({ headline: str, body: str, image_brief: str }),
+      comparison: obj({
+        columns: { type: "array", items: obj({ title: str, image_brief: str }) },
+        rows: { type: "array", items: obj({ label: str, values: { type: "array", items: str } }) },
+      }),
+      four_images: obj({
+        headline: str,
+        blocks: { type: "array", items: obj({ headline: str, body: str, image_brief: str }) },
+      }),
+      tech_specs: obj({
+        headline: str,
+        specs: { type: "array", items: obj({ label: str, value: str }) },
+      }),
+    }),
+  };
+}
+
+// Model JSON → content with trimmed strings; null if it isn't the expected shape
+function contentFromJson(text) {
+  let o;
+  try {
+    o = JSON.parse(String(text || ""));
+  } catch {
+    return null;
+  }
+  if (!o?.header || !o?.comparison || !o?.four_images || !o?.tech_specs) return null;
+  const s = (x) => String(x ?? "").trim();
+  const arr = (x) => (Array.isArray(x) ? x : []);
+  return {
+    header: { headline: s(o.header.headline), body: s(o.header.body), image_brief: s(o.header.image_brief) },
+    comparison: {
+      columns: arr(o.comparison.columns).map((c) => ({ title: s(c?.title), image_brief: s(c?.image_brief) })),
+      rows: arr(o.comparison.rows).map((r) => ({ label: s(r?.label), values: arr(r?.values).map(s) })),
+    },
+    four_images: {
+      headline: s(o.four_images.headline),
+      blocks: arr(o.four_images.blocks).map((b) => ({ headline: s(b?.headline), body: s(b?.body), image_brief: s(b?.image_brief) })),
+    },
+    tech_specs: {
+      headline: s(o.tech_specs.headline),
+      specs: arr(o.tech_specs.specs).map((x) => ({ label: s(x?.label), value: s(x?.value) })),
+    },
+  };
+}
+
+/* ---------------- VALIDATION ---------------- */
+
+// Limits, counts, the brand profile's words and the compliance lexicon. Fields are paths like
+// "four_images.blocks.2.body".
+// Returns { ok, errors (repair lines), validation: { ok, modules: { <module>: { ok, issues } } },
+//           compliance: { ok, findings } }
+export function checkAplus(content, { columns, rules, brandName, words = { banned: [], glossary: [] } }) {
+  const { header, comparison, four_images: four, tech_specs: specs } = APLUS_MODULES;
+  const modules = { header: [], comparison: [], four_images: [], tech_specs: [] };
+  const issue = (module, field, code, message) => modules[module].push({ severity: "error", field, code, message });
+  const texts = [];
+
+  const text = (module, field, value, max, { required = true } = {}) => {
+    texts.push({ field, text: value });
+    if (!value && required) issue(module, field, "empty", `${field} is empty`);
+    else if (value.length > max) issue(module, field, "too_long", `${field} is ${value.length} chars, max ${max}`);
+  };
+  const count = (module, field, n, [min, max]) => {
+    if (n < min || n > max) issue(module, field, "count", `${field}: ${n} items, expected ${min === max ? min : `${min}–${max}`}`);
+  };
+
+  const h = content.header;
+  text("header", "header.headline", h.headline, header.headline);
+  text("header", "header.body", h.body, header.body);
+  text("header", "header.image_brief", h.image_brief, 1000);
+
+  const c = content.comparison;
+  count("comparison", "comparison.columns", c.columns.length, [columns, columns]);
+  c.columns.forEach((col, i) => {
+    text("comparison", `comparison.columns.${i + 1}.title`, col.title, comparison.title);
+    text("comparison", `comparison.columns.${i + 1}.image_brief`, col.image_brief, 1000);
+  });
+  count("comparison", "comparison.rows", c.rows.length, comparison.rows);
+  c.rows.forEach((row, i) => {
+    text("comparison", `comparison.rows.${i + 1}.label`, row.label, comparison.label);
+    if (row.values.length !== columns) {
+      issue("comparison", `comparison.rows.${i + 1}.values`, "count", `comparison.rows.${i + 1}.values: ${row.values.length} values, expected ${columns}`);
+    }
+    row.values.forEach((v, j) => text("comparison", `comparison.rows.${i + 1}.values.${j + 1}`, v, comparison.value));
+  });
+
+  const f = content.four_images;
+  text("four_images", "four_images.headline", f.headline, four.headline);
+  count("four_images", "four_images.blocks", f.blocks.length, [four.blocks, four.blocks]);
+  f.blocks.forEach((b, i) => {
+    text("four_images", `four_images.blocks.${i + 1}.headline`, b.headline, four.block_headline);
+    text("four_images", `four_images.blocks.${i + 1}.body`, b.body, four.block_body);
+    text("four_images", `four_images.blocks.${i + 1}.image_brief`, b.image_brief, 1000);
+  });
+
+  const t = content.tech_specs;
+  text("tech_specs", "tech_specs.headline", t.headline, specs.headline);
+  count("tech_specs", "tech_specs.specs", t.specs.length, specs.specs);
+  t.specs.forEach((s, i) => {
+    text("tech_specs", `tech_specs.specs.${i + 1}.label`, s.label, specs.label);
+    text("tech_specs", `tech_specs.specs.${i + 1}.value`, s.value, specs.value);
+  });
+
+  // the brand belongs in the header, not in every headline – only flag if it is missing everywhere
+  if (brandName && !texts.some((x) => x.text.toLowerCase().includes(brandName.toLowerCase()))) {
+    modules.header.push({ severity: "warning", field: "header.headline", code: "no_brand", message: `Brand name "${brandName}" appears nowhere` });
+  }
+
+  // brand profile words, as in the listing validator (validate.js)
+  const banned = words.banned.map((term) => ({ term, re: termRegExp(term) }));
+  const wrong = words.glossary.flatMap((g) => g.avoid.map((avoid) => ({ term: g.term, avoid, re: termRegExp(avoid) })));
+  for (const x of texts) {
+    if (x.field.endsWith("image_brief")) continue;
+    const module = x.field.split(".")[0];
+    for (const b of banned) {
+      if (b.re.test(x.text || "")) issue(module, x.field, "brand_banned_term", `banned brand word "${b.term}" in ${x.field}`);
+    }
+    for (const g of wrong) {
+      if (g.re.test(x.text || "")) issue(module, x.field, "glossary_term", `brand glossary: "${g.avoid}" in ${x.field} – write "${g.term}" instead`);
+    }
+  }
+
+  // image briefs are for the designers, not customer-facing
+  const compliance = scanFields(texts.filter((x) => !x.field.endsWith("image_brief")), rules);
+
+  const errors = [];
+  for (const list of Object.values(modules)) for (const i of list) if (i.severity === "error") errors.push(i.message);
+  for (const fd of compliance.findings) {
+    if (BLOCKING_SEVERITIES.has(fd.severity)) errors.push(`prohibited ${fd.type} claim "${fd.text}" in ${fd.field} – rewrite without it`);
+  }
+
+  const report = {};
+  for (const [module, issues] of Object.entries(modules)) report[module] = { ok: !issues.some((i) => i.severity === "error"), issues };
+  return {
+    ok: errors.length === 0,
+    errors,
+    validation: { ok: Object.values(report).every((m) => m.ok), modules: report },
+    compliance,
+  };
+}
@@ -0,0 +1,69 @@
+import { json, unauthorized, bearerToken } from "./http.js";
+import { verifyToken } from "./token.js";
+import { getStore } from "./store.js";
+import { getUser, hasRole } from "./users.js";
+
+const REVOKED_PREFIX = "revoked:";
+
+// Verifies signature/expiry/version, then checks the token against server-side state:
+// revoked jti, deleted or disabled user, and per-user "logout everywhere".
+// Returns { ok: true, auth } or { ok: false, response }.
+export async function authenticate(request, env) {
+  if (!env?.ACCESS_TOKEN_SECRET) {
+    return { ok: false, response: json({ error: "ACCESS_TOKEN_SECRET missing in env" }, 500) };
+  }
+
+  const token = bearerToken(request);
+  if (!token) return { ok: false, response: unauthorized("Missing access token") };
+
+  const result = await verifyToken(env, token);
+  if (!result.ok) return { ok: false, response: unauthorized(result.error) };
+
+  const payload = result.payload;
+  const store = getStore(env);
+
+  if (!payload.sub || !payload.jti) return { ok: false, response: unauthorized("Malformed token") };
+  if (await store.getJson(REVOKED_PREFIX + payload.jti)) {
+    return { ok: false, response: unauthorized("Token revoked") };
+  }
+
+  const user = await getUser(store, payload.sub);
+  if (!user || user.disabled) return { ok: false, response: unauthorized("User disabled or removed") };
+  if (issuedAt(payload) < validAfter(user)) {
+    return { ok: false, response: unauthorized("Token revoked") };
+  }
+
+  // Role comes from the user record, so a demotion applies without re-login
+  return {
+    ok: true,
+    auth: { ...payload, role: user.role, user },
+  };
+}
+
+// "Logout everywhere" compares in milliseconds, so a token issued in the same second right
+// after a password change or revoke-all stays valid. Tokens and user records from before
+// carry whole seconds.
+function issuedAt(payload) {
+  return Number.isFinite(payload.iat_ms) ? payload.iat_ms : payload.iat * 1000;
+}
+
+function validAfter(user) {
+  const t = Number(user.tokens_valid_after) || 0;
+  return t < 1e12 ? t * 1000 : t;
+}
+
+// Use inside a route: `const denied = requireRole(data, "admin"); if (denied) return denied;`
+export function requireRole(data, role) {
+  const auth = data?.auth;
+  if (!auth) return unauthorized();
+  if (!hasRole(auth.role, role)) {
+    return json({ error: `Forbidden: requires ${role} role` }, 403);
+  }
+  return null;
+}
+
+// Revoke a single token until it would have expired anyway
+export async function revokeToken(env, jti, exp) {
+  const ttl = Math.max(60, exp - Math.floor(Date.now() / 1000));
+  await getStore(env).putJson(REVOKED_PREFIX + jti, { revoked_at: new Date().toISOString() }, { ttl });
+}
@@ -0,0 +1,381 @@
+import { json } from "./http.js";
+import { requireRole } from "./auth.js";
+import { getStore } from "./store.js";
+import { parseCsv, csvToObjects } from "./csv.js";
+import { checkLimits, recordUsage } from "./limits.js";
+import { getUser } from "./users.js";
+import { parseGenerateRequest, runGeneration } from "./pipeline.js";
+import { saveGeneration } from "./history.js";
+
+// Batch generation: a CSV of products becomes a job, every row runs through the same
+// pipeline as /api/generate (scrape → generate → validate → repair).
+//
+// Storage (KV-style store):
+//   batch:<id>            job   { id, created_by, auth, created_at, total, options, cancelled }
+//   batchrow:<id>:<n>     row   { index, sku, gtin, product_type, input, status, attempts, error, result, history, updated_at }
+// Rows live under their own keys so parallel workers never overwrite each other.
+//
+// Queue: with a Cloudflare Queue producer binding BATCH_QUEUE, each row is a message
+// { job, row } and a consumer Worker calls handleBatchQueue(). Without it the rows run
+// in-process (waitUntil) with BATCH_CONCURRENCY workers – fine for `wrangler pages dev` and
+// small batches; a status poll resumes a job whose runner died.
+//
+// Row status: pending → running → done | failed | cancelled (pending again between retries)
+
+const JOB_PREFIX = "batch:";
+const ROW_PREFIX = "batchrow:";
+const JOB_TTL = 14 * 24 * 60 * 60;
+// a "running" row not updated for this long is considered orphaned (in-process mode)
+const STALE_MS = 5 * 60 * 1000;
+
+export const BATCH_COLUMNS = ["sku", "brand", "marketplace", "prompt", "usp", "category"];
+const COLUMN_ALIASES = {
+  brand_name: "brand",
+  url: "prompt",
+  user_prompt: "prompt",
+  product_url: "prompt",
+  ean: "gtin",
+};
+
+// job-wide options, applied to every row
+const OPTION_KEYS = ["profile", "format", "repair_attempts", "provider", "variants", "constraints", "brand_voice", "category"];
+
+const TERMINAL = new Set(["done", "failed", "cancelled"]);
+// pipeline error codes (llm.js) that are worth another attempt
+const RETRYABLE = new Set(["timeout", "network", "rate_limited", "upstream", "invalid_response"]);
+
+// in-process runners: job id → AbortController (cancel aborts the running rows)
+const RUNNERS = new Map();
+
+export function batchSettings(env) {
+  const int = (raw, def, min, max) => {
+    const n = Number(raw);
+    return raw == null || raw === "" || !Number.isFinite(n) ? def : Math.max(min, Math.min(max, Math.floor(n)));
+  };
+  return {
+    concurrency: int(env?.BATCH_CONCURRENCY, 3, 1, 10),
+    retries: int(env?.BATCH_MAX_RETRIES, 2, 0, 5),
+    maxRows: int(env?.BATCH_MAX_ROWS, 200, 1, 1000),
+  };
+}
+
+/* ---------------- CSV → ROWS ---------------- */
+
+// Returns { ok: true, rows } or { ok: false, error }
+export function parseBatchCsv(text, { maxRows }) {
+  const objects = csvToObjects(parseCsv(text)).map((o) => {
+    const out = {};
+    for (const [k, v] of Object.entries(o)) out[COLUMN_ALIASES[k] || k] = v;
+    return out;
+  });
+  if (!objects.length) return { ok: false, error: "CSV has no data rows (first row must be the header)" };
+  if (objects.length > maxRows) return { ok: false, error: `Too many rows (${objects.length}), max ${maxRows}` };
+
+  const header = Object.keys(objects[0]);
+  const missing = ["brand", "marketplace", "prompt"].filter((c) => !header.includes(c));
+  if (missing.length) {
+    return { ok: false, error: `Missing CSV column(s): ${missing.join(", ")} (expected ${BATCH_COLUMNS.join(", ")})` };
+  }
+  return { ok: true, rows: objects };
+}
+
+export function sanitizeOptions(raw) {
+  const out = {};
+  if (!raw || typeof raw !== "object") return out;
+  for (const k of OPTION_KEYS) if (raw[k] != null && raw[k] !== "") out[k] = raw[k];
+  return out;
+}
+
+// CSV row + job options → /api/generate body
+function rowBody(row, options) {
+  return {
+    ...options,
+    marketplace: row.marketplace,
+    brand_name: row.brand,
+    user_prompt: row.prompt,
+    usp: row.usp || "",
+    brand_voice: row.brand_voice || options.brand_voice || "",
+    category: row.category || options.category || "auto",
+  };
+}
+
+/* ---------------- JOBS ---------------- */
+
+// CSV rows → stored row records; rows that fail request validation are failed right away
+export function prepareRows(env, rows, options) {
+  return rows.map((row, index) => {
+    const input = rowBody(row, options);
+    const parsed = parseGenerateRequest(env, input);
+    return {
+      index,
+      sku: row.sku || "",
+      gtin: row.gtin || "",
+      product_type: row.product_type || "",
+      input,
+      status: parsed.ok ? "pending" : "failed",
+      attempts: 0,
+      error: parsed.ok ? "" : parsed.error,
+      result: null,
+    };
+  });
+}
+
+// Stores the job and its (prepared) rows
+export async function createJob(env, auth, { rows, options }) {
+  const job = {
+    id: crypto.randomUUID(),
+    created_by: auth.sub,
+    // what the workers need to record usage for the owner
+    auth: { sub: auth.sub, jti: auth.jti, role: auth.role },
+    created_at: new Date().toISOString(),
+    total: rows.length,
+    options,
+    cancelled: false,
+  };
+  await getStore(env).putJson(JOB_PREFIX + job.id, job, { ttl: JOB_TTL });
+  await Promise.all(rows.map((row) => saveRow(env, job.id, row)));
+  return job;
+}
+
+export async function getJob(env, id) {
+  if (!/^[0-9a-f-]{36}$/.test(String(id || ""))) return null;
+  return getStore(env).getJson(JOB_PREFIX + id);
+}
+
+// For the /api/batch/:id routes: { job } or { response } (403/404)
+export async function findOwnJob(env, data, id) {
+  const denied = requireRole(data, "editor");
+  if (denied) return { response: denied };
+
+  const job = await getJob(env, id);
+  if (!job || (job.created_by !== data.auth.sub && data.auth.role !== "admin")) {
+    return { response: json({ error: "Unknown batch job" }, 404) };
+  }
+  return { job };
+}
+
+export async function listJobs(env, { sub } = {}) {
+  const store = getStore(env);
+  const jobs = [];
+  for (const key of await store.list(JOB_PREFIX)) {
+    const job = await store.getJson(key);
+    if (job && (!sub || job.created_by === sub)) jobs.push(publicJob(job));
+  }
+  return jobs.sort((a, b) => String(b.created_at).localeCompare(String(a.created_at)));
+}
+
+export async function getRows(env, job) {
+  const store = getStore(env);
+  const rows = await Promise.all(
+    Array.from({ length: job.total }, (_, i) => store.getJson(`${ROW_PREFIX}${job.id}:${i}`))
+  );
+  return rows.filter(Boolean);
+}
+
+async function saveRow(env, jobId, row) {
+  row.updated_at = new Date().toISOString();
+  await getStore(env).putJson(`${ROW_PREFIX}${jobId}:${row.index}`, row, { ttl: JOB_TTL });
+}
+
+// Job + per-row status (no results – see the results endpoint)
+export async function jobStatus(env, job) {
+  const rows = await getRows(env, job);
+  const counts = { pending: 0, running: 0, done: 0, failed: 0, cancelled: 0 };
+  for (const r of rows) counts[r.status] = (counts[r.status] || 0) + 1;
+
+  let status = "queued";
+  if (job.cancelled) status = "cancelled";
+  else if (counts.done + counts.failed + counts.cancelled === job.total) status = "done";
+  else if (counts.running || counts.done || counts.failed) status = "running";
+
+  return {
+    ...publicJob(job),
+    status,
+    counts,
+    rows: rows.map((r) => ({
+      index: r.index,
+      sku: r.sku,
+      status: r.status,
+      attempts: r.attempts,
+      error: r.error || "",
+      ok: r.result ? !!(r.result.validation?.ok && r.result.compliance?.ok) : null,
+      history: r.history || null,
+      updated_at: r.updated_at,
+    })),
+  };
+}
+
+function publicJob(job) {
+  const { auth, ...rest } = job;
+  return rest;
+}
+
+export async function cancelJob(env, job) {
+  job.cancelled = true;
+  job.cancelled_at = new Date().toISOString();
+  await getStore(env).putJson(JOB_PREFIX + job.id, job, { ttl: JOB_TTL });
+  RUNNERS.get(job.id)?.abort();
+
+  for (const row of await getRows(env, job)) {
+    if (row.status === "pending") {
+      row.status = "cancelled";
+      await saveRow(env, job.id, row);
+    }
+  }
+}
+
+/* ---------------- DISPATCH ---------------- */
+
+// Queue binding → one message per pending row; otherwise run in-process.
+// `waitUntil` keeps the in-process runner alive after the response (Pages context.waitUntil).
+export async function dispatchJob(env, job, waitUntil) {
+  const pending = (await getRows(env, job)).filter((r) => r.status === "pending").map((r) => r.index);
+  if (!pending.length) return;
+
+  if (env.BATCH_QUEUE) {
+    // sendBatch takes at most 100 messages
+    for (let i = 0; i < pending.length; i += 100) {
+      await env.BATCH_QUEUE.sendBatch(pending.slice(i, i + 100).map((row) => ({ body: { job: job.id, row } })));
+    }
+    return;
+  }
+  startRunner(env, job.id, waitUntil);
+}
+
+// In-process mode: called on status polls – restarts a job whose runner is gone
+// (isolate recycled) if rows are still pending or stuck in "running".
+export async function resumeJob(env, job, waitUntil) {
+  if (env.BATCH_QUEUE || job.cancelled || RUNNERS.has(job.id)) return;
+  const rows = await getRows(env, job);
+  const stale = (r) => r.status === "running" && Date.now() - Date.parse(r.updated_at) > STALE_MS;
+  if (rows.some((r) => r.status === "pending" || stale(r))) startRunner(env, job.id, waitUntil);
+}
+
+function startRunner(env, jobId, waitUntil) {
+  if (RUNNERS.has(jobId)) return;
+  const controller = new AbortController();
+  RUNNERS.set(jobId, controller);
+  const done = runInProcess(env, jobId, controller.signal)
+    .catch(() => {})
+    .finally(() => RUNNERS.delete(jobId));
+  waitUntil?.(done);
+}
+
+// Bounded pool: `concurrency` workers take the next open row until none are left
+async function runInProcess(env, jobId, signal) {
+  const { concurrency } = batchSettings(env);
+  const job = await getJob(env, jobId);
+  if (!job) return;
+
+  const open = (await getRows(env, job))
+    .filter((r) => r.status === "pending" || r.status === "running")
+    .map((r) => r.index);
+
+  const worker = async () => {
+    while (open.length && !signal.aborted) {
+      const index = open.shift();
+      for (;;) {
+        const r = await processRow(env, jobId, index, { signal });
+        if (!r.retry || signal.aborted) break;
+        await sleep(r.delaySeconds * 1000, signal);
+      }
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(concurrency, open.length) }, worker));
+}
+
+// Queue consumer (a separate Worker: `export default { queue: handleBatchQueue }`)
+export async function handleBatchQueue(batch, env) {
+  await Promise.all(
+    batch.messages.map(async (msg) => {
+      const r = await processRow(env, msg.body?.job, msg.body?.row, {});
+      if (r.retry) msg.retry({ delaySeconds: r.delaySeconds });
+      else msg.ack();
+    })
+  );
+}
+
+/* ---------------- ONE ROW ---------------- */
+
+// Runs one attempt. Returns { retry: boolean, delaySeconds }.
+export async function processRow(env, jobId, index, { signal } = {}) {
+  const store = getStore(env);
+  const key = `${ROW_PREFIX}${jobId}:${index}`;
+  const job = await getJob(env, jobId);
+  const row = await store.getJson(key);
+  if (!job || !row || TERMINAL.has(row.status)) return { retry: false };
+
+  if (job.cancelled) {
+    row.status = "cancelled";
+    await saveRow(env, jobId, row);
+    return { retry: false };
+  }
+
+  // every row goes through the owner's limits like a single /api/generate: over the per-minute
+  // rate it waits for the next window (no attempt used up), an exhausted monthly quota fails it
+  const limited = await checkLimits(env, { ...job.auth, user: await getUser(store, job.auth.sub) });
+  if (limited) {
+    if (limited.scope === "minute") {
+      row.status = "pending";
+      await saveRow(env, jobId, row);
+      return { retry: true, delaySeconds: limited.retryAfter };
+    }
+    row.status = "failed";
+    row.error = limited.error;
+    await saveRow(env, jobId, row);
+    return { retry: false };
+  }
+
+  row.status = "running";
+  row.attempts += 1;
+  await saveRow(env, jobId, row);
+
+  const usage = { tokens: 0 };
+  let res;
+  const parsed = parseGenerateRequest(env, row.input);
+  if (!parsed.ok) {
+    res = { status: parsed.status, body: { error: parsed.error } };
+  } else {
+    try {
+      res = await runGeneration(env, parsed.req, { signal, usage });
+    } catch (e) {
+      res = { status: 500, body: { error: String(e?.message || e) } };
+    }
+  }
+
+  const ok = res.status === 200;
+  await recordUsage(env, job.auth, { generations: ok ? 1 : 0, tokens: usage.tokens });
+
+  if (ok) {
+    row.status = "done";
+    row.error = "";
+    row.result = res.body;
+    row.history = await saveGeneration(env, job.auth, { body: row.input, res, source: "batch", sku: row.sku });
+  } else if (signal?.aborted) {
+    row.status = "cancelled";
+    row.error = "Cancelled";
+  } else {
+    const { retries } = batchSettings(env);
+    const retryable = res.status >= 500 && (!res.body.code || RETRYABLE.has(res.body.code));
+    row.error = res.body.error || `Failed (${res.status})`;
+    row.status = retryable && row.attempts <= retries ? "pending" : "failed";
+  }
+  await saveRow(env, jobId, row);
+
+  return row.status === "pending" ? { retry: true, delaySeconds: 5 * 2 ** (row.attempts - 1) } : { retry: false };
+}
+
+// the job's signal outlives every wait – the listener goes when the timer fires
+function sleep(ms, signal) {
+  return new Promise((resolve) => {
+    const onAbort = () => {
+      clearTimeout(t);
+      resolve();
+    };
+    const t = setTimeout(() => {
+      signal?.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener("abort", onAbort, { once: true });
+  });
+}
@@ -0,0 +1,170 @@
+import { getStore } from "./store.js";
+import { normalizeSpaces } from "./listing.js";
+import { MARKETPLACES, languageCode } from "./marketplaces.js";
+import { isKnownCategory } from "./templates.js";
+
+// Brand profiles: what the form used to be retyped with every session (name, voice, USPs,
+// default category and marketplaces) plus the brand's word rules, enforced by the validator
+// like the template's forbidden terms (see validate.js). Stored under `brand:<id>`.
+//
+// brand: { id, name, voice, usp, category, marketplaces: [...],
+//          banned_words: [{ term, lang }],                 lang "*" = every language
+//          glossary: [{ lang, term, avoid: [...] }],       always `term`, never one of `avoid`
+//          created_at, updated_at, updated_by }
+
+const BRAND_PREFIX = "brand:";
+const MAX_BANNED = 200;
+const MAX_GLOSSARY = 200;
+const LANGS = new Set(Object.values(MARKETPLACES).map((m) => m.lang));
+
+export function isValidBrandId(id) {
+  return /^[a-z0-9][a-z0-9_-]{1,47}$/.test(String(id || ""));
+}
+
+// "Acme Naturals" → "acme-naturals"
+export function brandIdFromName(name) {
+  return String(name || "")
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "")
+    .slice(0, 48);
+}
+
+/* ---------------- STORE ---------------- */
+
+export async function listBrands(env) {
+  const store = getStore(env);
+  const out = [];
+  for (const key of await store.list(BRAND_PREFIX)) {
+    const b = await store.getJson(key);
+    if (b?.id) out.push(b);
+  }
+  return out.sort((a, b) => a.name.localeCompare(b.name));
+}
+
+export async function getBrand(env, id) {
+  if (!isValidBrandId(id)) return null;
+  return getStore(env).getJson(BRAND_PREFIX + id);
+}
+
+export async function saveBrand(env, brand) {
+  brand.updated_at = new Date().toISOString();
+  await getStore(env).putJson(BRAND_PREFIX + brand.id, brand);
+  return brand;
+}
+
+export async function deleteBrand(env, id) {
+  await getStore(env).delete(BRAND_PREFIX + id);
+}
+
+/* ---------------- VALIDATION ---------------- */
+
+// Returns { ok: true, brand } (without the timestamps) or { ok: false, error }
+export function sanitizeBrand(raw) {
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) return { ok: false, error: "Brand profile must be an object" };
+
+  const name = normalizeSpaces(raw.name);
+  if (!name || name.length > 100) return { ok: false, error: "name must be 1–100 characters" };
+
+  const id = raw.id ? String(raw.id).trim().toLowerCase() : brandIdFromName(name);
+  if (!isValidBrandId(id)) return { ok: false, error: "Invalid brand id (2–48 chars: a-z 0-9 _ -)" };
+
+  const category = String(raw.category || "auto").trim().toLowerCase();
+  if (category !== "auto" && !isKnownCategory(category)) return { ok: false, error: `Unknown category: ${category}` };
+
+  const marketplaces = [];
+  for (const m of Array.isArray(raw.marketplaces) ? raw.marketplaces : []) {
+    const id = String(m || "").trim().toLowerCase();
+    if (!MARKETPLACES[id]) return { ok: false, error: `Unknown marketplace: ${id}` };
+    if (!marketplaces.includes(id)) marketplaces.push(id);
+  }
+
+  const lang = (x) => String(x || "*").trim().toLowerCase() || "*";
+  const badLang = (l) => l !== "*" && !LANGS.has(l);
+  const term = (x) => normalizeSpaces(x).slice(0, 81);
+
+  // "cheap" or { term, lang? }
+  const banned = [];
+  for (const b of Array.isArray(raw.banned_words) ? raw.banned_words : []) {
+    const t = term(typeof b === "string" ? b : b?.term);
+    const l = lang(typeof b === "string" ? "*" : b?.lang);
+    if (!t) continue;
+    if (t.length > 80) return { ok: false, error: `Banned word too long (max 80): ${t.slice(0, 40)}…` };
+    if (badLang(l)) return { ok: false, error: `Unknown language "${l}" for banned word "${t}"` };
+    banned.push({ term: t, lang: l });
+  }
+  if (banned.length > MAX_BANNED) return { ok: false, error: `Too many banned_words (max ${MAX_BANNED})` };
+
+  // { lang?, term, avoid: ["…"] | "a, b" }
+  const glossary = [];
+  for (const g of Array.isArray(raw.glossary) ? raw.glossary : []) {
+    const t = term(g?.term);
+    const l = lang(g?.lang);
+    const avoid = (Array.isArray(g?.avoid) ? g.avoid : String(g?.avoid || "").split(/[,;]/)).map(term).filter((a) => a && a.toLowerCase() !== t.toLowerCase());
+    if (!t) return { ok: false, error: "Each glossary entry needs a term" };
+    if (t.length > 80 || avoid.some((a) => a.length > 80)) return { ok: false, error: `Glossary term too long (max 80): ${t.slice(0, 40)}` };
+    if (!avoid.length) return { ok: false, error: `Glossary entry "${t}" needs the wording to avoid` };
+    if (badLang(l)) return { ok: false, error: `Unknown language "${l}" for glossary term "${t}"` };
+    glossary.push({ lang: l, term: t, avoid: avoid.slice(0, 10) });
+  }
+  if (glossary.length > MAX_GLOSSARY) return { ok: false, error: `Too many glossary entries (max ${MAX_GLOSSARY})` };
+
+  return {
+    ok: true,
+    brand: {
+      id,
+      name,
+      voice: String(raw.voice || "").trim().slice(0, 2000),
+      usp: String(raw.usp || "").trim().slice(0, 2000),
+      category,
+      marketplaces,
+      banned_words: banned,
+      glossary,
+    },
+  };
+}
+
+/* ---------------- REQUESTS ---------------- */
+
+// body.brand (id) → the body with empty brand_name / brand_voice / usp / category / marketplace
+// filled in from the profile. Returns { ok: true, body, brand } or { ok: false, error, status }.
+export async function applyBrandDefaults(env, body) {
+  if (body.brand == null || body.brand === "") return { ok: true, body, brand: null };
+  const brand = await getBrand(env, String(body.brand).trim().toLowerCase());
+  if (!brand) return { ok: false, error: `Unknown brand profile: ${String(body.brand).slice(0, 48)}`, status: 404 };
+
+  const category = String(body.category || "auto").trim().toLowerCase();
+  return {
+    ok: true,
+    brand,
+    body: {
+      ...body,
+      brand: brand.id,
+      brand_name: body.brand_name || brand.name,
+      brand_voice: body.brand_voice || brand.voice,
+      usp: body.usp || brand.usp,
+      category: category === "auto" ? brand.category : body.category,
+      marketplace: body.marketplace || brand.marketplaces[0] || "",
+    },
+  };
+}
+
+// The profile's word rules for one marketplace: { banned: ["cheap", …], glossary: [{ term, avoid }] }
+export function brandRules(brand, marketplace) {
+  const lang = languageCode(marketplace);
+  const applies = (x) => x.lang === "*" || x.lang === lang;
+  return {
+    banned: (brand?.banned_words || []).filter(applies).map((b) => b.term),
+    glossary: (brand?.glossary || []).filter(applies).map(({ term, avoid }) => ({ term, avoid })),
+  };
+}
+
+// Prompt lines for the hard requirements (listingInstructions in pipeline.js)
+export function brandRulesText({ banned, glossary }) {
+  const lines = [];
+  if (banned.length) lines.push(`- Brand rule – never use these words (or their translations): ${banned.join(", ")}`);
+  for (const g of glossary) lines.push(`- Brand terminology: always write "${g.term}", never ${g.avoid.map((a) => `"${a}"`).join(" or ")}`);
+  return lines.join("\n");
+}
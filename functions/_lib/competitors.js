@@ -0,0 +1,222 @@
+import { callLLM } from "./llm.js";
+import { llmError } from "./providers/shared.js";
+import { normalizeSpaces } from "./listing.js";
+import { truncate } from "./html.js";
+import { looksLikeUrl, productContextFromHtml } from "./scrape.js";
+import { scrapeProduct } from "./facts.js";
+
+// Competitor mode for /api/generate: up to MAX_COMPETITORS competitor pages (URLs or saved
+// HTML) are read, their recurring words counted here, and one model call summarizes the common
+// claims, keyword patterns and gaps. The result goes into the product context as
+// differentiation guidance (so the repair calls keep it too).
+//
+// competitors: ["https://www.amazon.de/dp/B0…", { html, url? }, …]
+
+export const MAX_COMPETITORS = 5;
+const MAX_HTML_CHARS = 3_000_000;
+
+// function words of the EU marketplace languages – not keyword patterns
+const STOPWORDS = new Set(
+  `a an and the of for with to in on at by from or your you is are be it this that as
+  und der die das mit für von zu im in auf aus oder ein eine einer ist sind ihr ihre sie den dem des bei
+  et le la les des du de un une pour avec en au aux sur ou vos votre est sont
+  il lo gli di da con per su una uno e o che del della delle dei
+  y el los las con para por su sus es son
+  en het een van met voor op of is zijn
+  i och med för på av till en ett är
+  w z do na i oraz dla jest są
+  x cm mm ml g kg l m pcs pack stück`.split(/\s+/)
+);
+
+/* ---------------- REQUEST ---------------- */
+
+// body.competitors → { ok: true, items: [{ url, html? }] } or { ok: false, error }; no I/O.
+// A string is one URL per line.
+export function parseCompetitors(raw) {
+  const list = typeof raw === "string" ? raw.split(/\r?\n/) : raw;
+  if (!Array.isArray(list)) return { ok: false, error: "competitors must be an array of URLs or { html, url? }" };
+
+  const items = [];
+  for (const c of list) {
+    if (typeof c === "string") {
+      const url = c.trim();
+      if (!url) continue;
+      if (!looksLikeUrl(url)) return { ok: false, error: `Invalid competitor URL: ${url.slice(0, 80)}` };
+      items.push({ url });
+    } else if (c && typeof c === "object" && typeof c.html === "string" && c.html.trim()) {
+      if (c.html.length > MAX_HTML_CHARS) return { ok: false, error: "Competitor HTML page too large (max 3 MB)" };
+      items.push({ url: String(c.url || "").trim(), html: c.html });
+    } else {
+      return { ok: false, error: "Each competitor must be a URL or { html, url? }" };
+    }
+  }
+  if (items.length > MAX_COMPETITORS) return { ok: false, error: `Too many competitors (${items.length}), max ${MAX_COMPETITORS}` };
+  return { ok: true, items };
+}
+
+/* ---------------- LOAD ---------------- */
+
+// Fetches (through the scrape cache) / parses every page in parallel. A page that fails is
+// reported, not fatal.
+// Returns [{ url, ok: true, asin, title, brand, bullets, description, bsr } | { url, ok: false, error }]
+export async function loadCompetitors(env, items) {
+  return Promise.all(
+    items.map(async (item) => {
+      const s = item.html
+        ? { ok: true, ctx: productContextFromHtml(item.html, { url: item.url }) }
+        : await scrapeProduct(env, item.url, { timeoutMs: 15000 });
+      if (!s.ok) return { url: item.url, ok: false, error: s.error };
+      const page = competitorPage(s.ctx);
+      return page.title ? { ok: true, ...page } : { url: item.url, ok: false, error: "No product found on the page" };
+    })
+  );
+}
+
+function competitorPage(ctx) {
+  const a = ctx.amazon;
+  const ld = ctx.product_jsonld;
+  if (a) {
+    return {
+      url: ctx.source_url,
+      asin: a.asin,
+      title: a.title,
+      brand: a.brand,
+      bullets: a.bullets,
+      description: truncate(a.description, 1500),
+      bsr: a.bsr,
+    };
+  }
+  return {
+    url: ctx.source_url,
+    asin: "",
+    title: ld?.name || ctx.h1 || ctx.page_title,
+    brand: ld?.brand || "",
+    bullets: [],
+    description: truncate(ld?.description || ctx.meta_description || ctx.extracted_text, 1500),
+    bsr: [],
+  };
+}
+
+/* ---------------- KEYWORD PATTERNS ---------------- */
+
+// Words and two-word phrases of the titles and bullets, by the number of pages using them
+// (the competitor's own brand is left out). With several pages only the shared ones count.
+// Returns [{ phrase, pages, in_titles }], most common first.
+export function keywordPatterns(pages, limit = 25) {
+  const loaded = pages.filter((p) => p.ok);
+  const stats = new Map();
+
+  for (const p of loaded) {
+    const brand = new Set(words(p.brand));
+    const seen = new Map(); // phrase → in title
+    const add = (text, inTitle) => {
+      const w = words(text).filter((x) => !brand.has(x));
+      for (let i = 0; i < w.length; i++) {
+        const grams = [w[i], i + 1 < w.length ? `${w[i]} ${w[i + 1]}` : ""];
+        for (const g of grams) {
+          if (!g || g.split(" ").some((x) => STOPWORDS.has(x) || x.length < 3 || /^\d+$/.test(x))) continue;
+          seen.set(g, seen.get(g) || inTitle);
+        }
+      }
+    };
+    add(p.title, true);
+    for (const b of p.bullets) add(b, false);
+
+    for (const [phrase, inTitle] of seen) {
+      const s = stats.get(phrase) || { phrase, pages: 0, in_titles: 0 };
+      s.pages++;
+      if (inTitle) s.in_titles++;
+      stats.set(phrase, s);
+    }
+  }
+
+  const min = loaded.length > 1 ? 2 : 1;
+  return [...stats.values()]
+    .filter((s) => s.pages >= min)
+    .sort((a, b) => b.pages - a.pages || b.in_titles - a.in_titles || b.phrase.split(" ").length - a.phrase.split(" ").length)
+    .slice(0, limit);
+}
+
+function words(s) {
+  return String(s || "").toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+}
+
+/* ---------------- ANALYSIS ---------------- */
+
+// One model call over the loaded pages. Returns
+// { common_claims, keyword_patterns, gaps, differentiation } (arrays of short strings).
+export async function analyzeCompetitors(env, { pages, patterns, marketplace, brandName, usp, productText }, opts = {}) {
+  const loaded = pages.filter((p) => p.ok);
+
+  const instructions = `You are an Amazon competitor analyst for ${marketplace}.
+Compare the COMPETITOR LISTINGS with OUR PRODUCT and return:
+- common_claims: the claims and selling points most competitors make (max 8)
+- keyword_patterns: the search phrases competitors put in titles and bullets (max 10, in the marketplace language)
+- gaps: what competitors leave out, answer vaguely or get wrong that matters to buyers (max 6)
+- differentiation: concrete instructions for writing OUR listing so it stands out – based only on facts of OUR PRODUCT (max 6)
+Short sentences. Never suggest claims our product info does not support.`;
+
+  const input = `OUR PRODUCT:
+Brand name: ${brandName}
+${usp ? `USPs: ${usp}\n` : ""}${truncate(productText, 4000)}
+
+RECURRING WORDS (phrase – number of competitor pages):
+${patterns.map((p) => `${p.phrase} – ${p.pages}`).join("\n") || "(none)"}
+
+COMPETITOR LISTINGS:
+${loaded
+  .map(
+    (p, i) => `#${i + 1}${p.asin ? ` ASIN ${p.asin}` : ""}${p.bsr[0] ? ` (BSR #${p.bsr[0].rank} in ${p.bsr[0].category})` : ""}
+Title: ${p.title}
+${p.bullets.map((b) => `- ${b}`).join("\n")}${p.description ? `\nDescription: ${p.description}` : ""}`
+  )
+  .join("\n\n")}`;
+
+  const res = await callLLM(env, instructions, input, {
+    ...opts,
+    purpose: "competitors",
+    max_output_tokens: 1500,
+    temperature: 0.3,
+    timeoutMs: 60000,
+    format: competitorJsonFormat(),
+  });
+
+  let obj;
+  try {
+    obj = JSON.parse(res.text);
+  } catch {
+    throw llmError(res.provider, "invalid_response", "Invalid competitor analysis output");
+  }
+  const list = (x) => (Array.isArray(x) ? x.map((s) => normalizeSpaces(s)).filter(Boolean).slice(0, 10) : []);
+  return {
+    common_claims: list(obj?.common_claims),
+    keyword_patterns: list(obj?.keyword_patterns),
+    gaps: list(obj?.gaps),
+    differentiation: list(obj?.differentiation),
+  };
+}
+
+function competitorJsonFormat() {
+  const strings = { type: "array", items: { type: "string" } };
+  return {
+    type: "json_schema",
+    name: "competitor_analysis",
+    strict: true,
+    schema: {
+      type: "object",
+      additionalProperties: false,
+      required: ["common_claims", "keyword_patterns", "gaps", "differentiation"],
+      properties: { common_claims: strings, keyword_patterns: strings, gaps: strings, differentiation: strings },
+    },
+  };
+}
+
+/* ---------------- PROMPT ---------------- */
+
+// Prompt section – part of the product context, next to the keywords
+export function competitorGuidanceText(analysis) {
+  if (!analysis) return "";
+  const section = (title, items) => (items.length ? `${title}:\n${items.map((s) => `- ${s}`).join("\n")}\n` : "");
+  return `COMPETITOR ANALYSIS (differentiation guidance):
+${section("Claims every competitor makes – cover them only if true for our product, do not lead with them", analysis.common_claims)}${section("Search phrases competitors rank with – use the ones that fit our product", analysis.keyword_patterns)}${section("Gaps competitors leave – fill them where our product info supports it", analysis.gaps)}${section("How our listing should stand out", analysis.differentiation)}- Never name competitors or their brands, do not copy their wording, do not compare directly.`;
+}
@@ -0,0 +1,282 @@
+import { getStore } from "./store.js";
+
+// Prohibited-claims scanner.
+// Built-in lexicons per output language (marketplaces.js → lang) and category; "*" applies to all
+// categories. Admins can add rules at runtime (/api/compliance), stored under `compliance:rules`.
+//
+// Rule: { term, type, severity, note? }
+//   type      medical | antimicrobial | guarantee | natural | certification | superlative | health
+//   severity  high | medium  → blocking: fed into the repair pass
+//             low            → reported only
+//
+// Matching is whole-word and case-insensitive; "%" may have a space before it and "-" may be a
+// space or missing ("100 % natürlich", "anti bakteriell").
+
+const CUSTOM_RULES_KEY = "compliance:rules";
+
+export const SEVERITIES = ["high", "medium", "low"];
+export const BLOCKING_SEVERITIES = new Set(["high", "medium"]);
+
+const r = (term, type, severity, note = "") => ({ term, type, severity, note });
+
+export const LEXICONS = {
+  en: {
+    "*": [
+      r("cure", "medical", "high"), r("cures", "medical", "high"), r("heals", "medical", "high"),
+      r("treats", "medical", "high"), r("prevents disease", "medical", "high"),
+      r("anti-inflammatory", "medical", "high"),
+      r("antibacterial", "antimicrobial", "high", "pesticide claim – needs EPA/BPR registration"),
+      r("antimicrobial", "antimicrobial", "high"), r("antiviral", "antimicrobial", "high"),
+      r("antifungal", "antimicrobial", "high"), r("kills 99.9%", "antimicrobial", "high"),
+      r("guaranteed", "guarantee", "medium"), r("guarantee", "guarantee", "medium"), r("money back", "guarantee", "medium"),
+      r("100% natural", "natural", "medium"), r("chemical-free", "natural", "medium"), r("non-toxic", "natural", "medium"),
+      r("FDA approved", "certification", "high"), r("clinically proven", "certification", "medium"),
+      r("best seller", "superlative", "low"), r("#1", "superlative", "low"), r("number one", "superlative", "low"),
+    ],
+    beauty: [r("eczema", "medical", "medium"), r("psoriasis", "medical", "medium"), r("acne treatment", "medical", "medium")],
+    supplements: [
+      r("boosts immunity", "health", "high"), r("detox", "health", "medium"), r("weight loss", "health", "high"),
+      r("fat burner", "health", "high"),
+    ],
+  },
+  de: {
+    "*": [
+      r("heilt", "medical", "high"), r("heilen", "medical", "high"), r("heilend", "medical", "high"),
+      r("heilung", "medical", "high"), r("entzündungshemmend", "medical", "high"),
+      r("antibakteriell", "antimicrobial", "high", "Biozid-Aussage"), r("antimikrobiell", "antimicrobial", "high"),
+      r("antiviral", "antimicrobial", "high"), r("tötet 99,9%", "antimicrobial", "high"),
+      r("garantiert", "guarantee", "medium"), r("Garantie", "guarantee", "medium"), r("Geld-zurück", "guarantee", "medium"),
+      r("100% natürlich", "natural", "medium"), r("chemiefrei", "natural", "medium"), r("frei von Chemie", "natural", "medium"),
+      r("FDA-zugelassen", "certification", "high"), r("klinisch bewiesen", "certification", "medium"),
+      r("Testsieger", "superlative", "low"), r("Nr. 1", "superlative", "low"),
+    ],
+    beauty: [r("Neurodermitis", "medical", "medium"), r("Ekzem", "medical", "medium"), r("Schuppenflechte", "medical", "medium")],
+    supplements: [
+      r("stärkt das Immunsystem", "health", "high"), r("Entgiftung", "health", "medium"), r("Detox", "health", "medium"),
+      r("Gewichtsverlust", "health", "high"), r("Fettverbrenner", "health", "high"),
+    ],
+  },
+  fr: {
+    "*": [
+      r("guérit", "medical", "high"), r("guérir", "medical", "high"), r("soigne", "medical", "high"),
+      r("anti-inflammatoire", "medical", "high"),
+      r("antibactérien", "antimicrobial", "high"), r("antibactérienne", "antimicrobial", "high"),
+      r("antiviral", "antimicrobial", "high"),
+      r("garanti", "guarantee", "medium"), r("garantie", "guarantee", "medium"),
+      r("100% naturel", "natural", "medium"), r("100% naturelle", "natural", "medium"), r("sans produits chimiques", "natural", "medium"),
+      r("approuvé par la FDA", "certification", "high"), r("cliniquement prouvé", "certification", "medium"),
+      r("n°1", "superlative", "low"),
+    ],
+    beauty: [r("eczéma", "medical", "medium"), r("psoriasis", "medical", "medium")],
+    supplements: [r("renforce l'immunité", "health", "high"), r("détox", "health", "medium"), r("perte de poids", "health", "high")],
+  },
+  it: {
+    "*": [
+      r("guarisce", "medical", "high"), r("guarire", "medical", "high"), r("antinfiammatorio", "medical", "high"),
+      r("antibatterico", "antimicrobial", "high"), r("antibatterica", "antimicrobial", "high"),
+      r("antivirale", "antimicrobial", "high"),
+      r("garantito", "guarantee", "medium"), r("garantita", "guarantee", "medium"), r("garanzia", "guarantee", "medium"),
+      r("100% naturale", "natural", "medium"), r("senza sostanze chimiche", "natural", "medium"),
+      r("approvato dalla FDA", "certification", "high"), r("clinicamente provato", "certification", "medium"),
+      r("n. 1", "superlative", "low"),
+    ],
+    beauty: [r("eczema", "medical", "medium"), r("psoriasi", "medical", "medium")],
+    supplements: [r("rafforza il sistema immunitario", "health", "high"), r("detox", "health", "medium"), r("dimagrante", "health", "high")],
+  },
+  es: {
+    "*": [
+      r("cura", "medical", "high"), r("curar", "medical", "high"), r("antiinflamatorio", "medical", "high"),
+      r("antibacteriano", "antimicrobial", "high"), r("antibacteriana", "antimicrobial", "high"),
+      r("antiviral", "antimicrobial", "high"),
+      r("garantizado", "guarantee", "medium"), r("garantizada", "guarantee", "medium"), r("garantía", "guarantee", "medium"),
+      r("100% natural", "natural", "medium"), r("sin químicos", "natural", "medium"),
+      r("aprobado por la FDA", "certification", "high"), r("clínicamente probado", "certification", "medium"),
+      r("número 1", "superlative", "low"),
+    ],
+    beauty: [r("eccema", "medical", "medium"), r("psoriasis", "medical", "medium")],
+    supplements: [r("refuerza el sistema inmunológico", "health", "high"), r("detox", "health", "medium"), r("pérdida de peso", "health", "high")],
+  },
+  nl: {
+    "*": [
+      r("geneest", "medical", "high"), r("genezen", "medical", "high"), r("ontstekingsremmend", "medical", "high"),
+      r("antibacterieel", "antimicrobial", "high"), r("antiviraal", "antimicrobial", "high"),
+      r("gegarandeerd", "guarantee", "medium"), r("garantie", "guarantee", "medium"),
+      r("100% natuurlijk", "natural", "medium"), r("chemicaliënvrij", "natural", "medium"),
+      r("FDA-goedgekeurd", "certification", "high"), r("klinisch bewezen", "certification", "medium"),
+      r("nummer 1", "superlative", "low"),
+    ],
+    beauty: [r("eczeem", "medical", "medium"), r("psoriasis", "medical", "medium")],
+    supplements: [r("versterkt het immuunsysteem", "health", "high"), r("detox", "health", "medium"), r("afvallen", "health", "high")],
+  },
+  pl: {
+    "*": [
+      r("leczy", "medical", "high"), r("wyleczy", "medical", "high"), r("przeciwzapalny", "medical", "high"),
+      r("przeciwzapalne", "medical", "high"),
+      r("antybakteryjny", "antimicrobial", "high"), r("antybakteryjna", "antimicrobial", "high"),
+      r("antybakteryjne", "antimicrobial", "high"), r("przeciwwirusowy", "antimicrobial", "high"),
+      r("gwarantowany", "guarantee", "medium"), r("gwarantuje", "guarantee", "medium"), r("gwarancja", "guarantee", "medium"),
+      r("100% naturalny", "natural", "medium"), r("100% naturalne", "natural", "medium"), r("bez chemii", "natural", "medium"),
+      r("zatwierdzony przez FDA", "certification", "high"), r("klinicznie udowodniony", "certification", "medium"),
+      r("nr 1", "superlative", "low"),
+    ],
+    beauty: [r("egzema", "medical", "medium"), r("łuszczyca", "medical", "medium")],
+    supplements: [r("wzmacnia odporność", "health", "high"), r("detoks", "health", "medium"), r("odchudzanie", "health", "high")],
+  },
+  sv: {
+    "*": [
+      r("botar", "medical", "high"), r("läker", "medical", "high"), r("inflammationshämmande", "medical", "high"),
+      r("antibakteriell", "antimicrobial", "high"), r("antiviral", "antimicrobial", "high"),
+      r("garanterad", "guarantee", "medium"), r("garanterat", "guarantee", "medium"), r("garanti", "guarantee", "medium"),
+      r("100% naturlig", "natural", "medium"), r("100% naturligt", "natural", "medium"), r("kemikaliefri", "natural", "medium"),
+      r("FDA-godkänd", "certification", "high"), r("kliniskt bevisad", "certification", "medium"),
+      r("nummer 1", "superlative", "low"),
+    ],
+    beauty: [r("eksem", "medical", "medium"), r("psoriasis", "medical", "medium")],
+    supplements: [r("stärker immunförsvaret", "health", "high"), r("detox", "health", "medium"), r("viktnedgång", "health", "high")],
+  },
+};
+
+/* ---------------- RULES ---------------- */
+
+// Built-in + custom rules for one language/category. The English certification/natural rules
+// apply to every language, because "FDA approved" or "100% natural" often slip through
+// untranslated (the rest of the English list would misfire, e.g. Italian "cure" = care).
+const UNTRANSLATED_TYPES = new Set(["certification", "natural"]);
+
+export async function loadRules(env, { lang, category }) {
+  const pick = (l) => [...(LEXICONS[l]?.["*"] || []), ...(LEXICONS[l]?.[category] || [])];
+  const rules = pick(lang);
+  if (lang !== "en") rules.push(...pick("en").filter((x) => UNTRANSLATED_TYPES.has(x.type)));
+
+  for (const c of await listCustomRules(env)) {
+    if ((c.lang === "*" || c.lang === lang) && (c.category === "*" || c.category === category)) rules.push(c);
+  }
+  return rules;
+}
+
+export async function listCustomRules(env) {
+  return (await getStore(env).getJson(CUSTOM_RULES_KEY)) || [];
+}
+
+export async function saveCustomRules(env, rules) {
+  await getStore(env).putJson(CUSTOM_RULES_KEY, rules);
+}
+
+// Validates an admin-supplied rule; returns { ok, rule } or { ok: false, error }
+export function sanitizeRule(raw) {
+  const term = String(raw?.term || "").trim();
+  if (term.length < 2 || term.length > 80) return { ok: false, error: "term must be 2–80 characters" };
+
+  const lang = String(raw?.lang || "*").trim().toLowerCase();
+  if (lang !== "*" && !LEXICONS[lang]) {
+    return { ok: false, error: `lang must be "*" or one of: ${Object.keys(LEXICONS).join(", ")}` };
+  }
+
+  const severity = String(raw?.severity || "high").trim().toLowerCase();
+  if (!SEVERITIES.includes(severity)) return { ok: false, error: `severity must be one of: ${SEVERITIES.join(", ")}` };
+
+  return {
+    ok: true,
+    rule: {
+      id: crypto.randomUUID(),
+      term,
+      lang,
+      category: String(raw?.category || "*").trim().toLowerCase() || "*",
+      type: String(raw?.type || "custom").trim().toLowerCase().slice(0, 30) || "custom",
+      severity,
+      note: String(raw?.note || "").trim().slice(0, 200),
+    },
+  };
+}
+
+/* ---------------- SCAN ---------------- */
+
+// Returns { ok, variants: [{ label, ok, findings: [...] }] }.
+// Finding: { field, index?, start, end, text, term, type, severity, note }
+//   start/end are offsets into that field's text (a single bullet when index is set).
+export function scanVariants(variants, rules) {
+  const compiled = compileRules(rules);
+
+  const out = variants.map((v) => {
+    const targets = [
+      { field: "title", text: v.title },
+      ...(v.bullets || []).map((b, i) => ({ field: "bullets", index: i, text: b })),
+      { field: "description", text: v.description },
+      { field: "backend_terms", text: v.backend_terms },
+    ];
+    const findings = findAll(targets, compiled);
+    const ok = !findings.some((f) => BLOCKING_SEVERITIES.has(f.severity));
+    return { label: v.label || "", ok, findings };
+  });
+
+  return { ok: out.every((v) => v.ok), variants: out };
+}
+
+// Any other texts (A+ modules, aplus.js): fields [{ field, index?, text }] → { ok, findings }
+export function scanFields(fields, rules) {
+  const findings = findAll(fields, compileRules(rules));
+  return { ok: !findings.some((f) => BLOCKING_SEVERITIES.has(f.severity)), findings };
+}
+
+function compileRules(rules) {
+  return rules.map((rule) => ({ rule, re: ruleRegExp(rule.term) }));
+}
+
+function findAll(targets, compiled) {
+  const findings = [];
+  for (const t of targets) {
+    const text = String(t.text || "");
+    for (const { rule, re } of compiled) {
+      re.lastIndex = 0;
+      let m;
+      while ((m = re.exec(text)) !== null) {
+        findings.push({
+          field: t.field,
+          ...(t.index != null ? { index: t.index } : {}),
+          start: m.index,
+          end: m.index + m[0].length,
+          text: m[0],
+          term: rule.term,
+          type: rule.type,
+          severity: rule.severity,
+          note: rule.note || "",
+        });
+      }
+    }
+  }
+  return dedupeFindings(findings);
+}
+
+// Repair-prompt lines for blocking findings, same "LABEL: message" shape as the validator errors
+export function complianceErrors(report) {
+  const errors = [];
+  for (const v of report.variants) {
+    for (const f of v.findings) {
+      if (!BLOCKING_SEVERITIES.has(f.severity)) continue;
+      const where = f.field === "bullets" ? `bullet ${f.index + 1}` : f.field.replace("_", " ");
+      errors.push(`${v.label || "OUTPUT"}: prohibited ${f.type} claim "${f.text}" in ${where} – rewrite without it`);
+    }
+  }
+  return errors;
+}
+
+function ruleRegExp(term) {
+  const escaped = String(term)
+    .trim()
+    .replace(/[.*+?^${}()|[\]\\]/g, "\\$&")
+    .replace(/\s+/g, "\\s+")
+    .replace(/%/g, "\\s?%")
+    .replace(/-/g, "[-\\s]?");
+  return new RegExp(`(?<![\\p{L}\\p{N}])${escaped}(?![\\p{L}\\p{N}])`, "giu");
+}
+
+// Overlapping rules ("100% natural" from two lexicons) → keep one finding per span
+function dedupeFindings(findings) {
+  const seen = new Set();
+  return findings.filter((f) => {
+    const key = `${f.field}:${f.index ?? ""}:${f.start}:${f.end}`;
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
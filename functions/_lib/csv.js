@@ -0,0 +1,67 @@
+/* ---------------- CSV ---------------- */
+
+// RFC 4180, CRLF, with a UTF-8 BOM so Excel opens umlauts correctly.
+// Text starting with = + - @ (or a tab / CR) gets a leading ' so a spreadsheet doesn't run it
+// as a formula (CSV injection); numbers stay as they are.
+export function toCsv(rows) {
+  const cell = (v) => {
+    let s = String(v ?? "");
+    if (typeof v === "string" && /^[=+\-@\t\r]/.test(s)) s = `'${s}`;
+    return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+  };
+  return "\uFEFF" + rows.map((r) => r.map(cell).join(",")).join("\r\n") + "\r\n";
+}
+
+// RFC 4180 parser: quoted fields (with "" escapes and line breaks), CRLF/LF, BOM.
+// The delimiter is detected from the first line (",", ";" from German Excel, or tab).
+// Returns an array of rows (arrays of strings); blank lines are skipped.
+export function parseCsv(text) {
+  const s = String(text || "").replace(/^\uFEFF/, "");
+  const firstLine = s.slice(0, s.search(/\r?\n|$/));
+  const delim = [",", ";", "\t"]
+    .map((d) => [d, firstLine.split(d).length])
+    .sort((a, b) => b[1] - a[1])[0][0];
+
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+
+  for (let i = 0; i < s.length; i++) {
+    const c = s[i];
+    if (quoted) {
+      if (c === '"' && s[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (c === '"') {
+        quoted = false;
+      } else {
+        field += c;
+      }
+    } else if (c === '"' && field === "") {
+      quoted = true;
+    } else if (c === delim) {
+      row.push(field);
+      field = "";
+    } else if (c === "\n" || c === "\r") {
+      if (c === "\r" && s[i + 1] === "\n") i++;
+      row.push(field);
+      if (row.some((f) => f.trim())) rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += c;
+    }
+  }
+  row.push(field);
+  if (row.some((f) => f.trim())) rows.push(row);
+  return rows;
+}
+
+// Rows → objects keyed by the (lowercased, trimmed) header row
+export function csvToObjects(rows) {
+  const [header, ...data] = rows;
+  if (!header) return [];
+  const keys = header.map((h) => String(h).trim().toLowerCase().replace(/\s+/g, "_"));
+  return data.map((r) => Object.fromEntries(keys.map((k, i) => [k, String(r[i] ?? "").trim()])));
+}
@@ -0,0 +1,130 @@
+import { VARIANT_LABELS } from "./listing.js";
+
+// Field-level diff between two versions of a listing (history view).
+// Every field gets word-level ops: [{ op: "eq" | "add" | "del", text }] – joining the "eq"+"del"
+// texts gives the old value, "eq"+"add" the new one.
+
+// LCS table above this size → diffed by sentence first (diffTokens)
+const MAX_CELLS = 250000;
+
+// before/after: parsed variant lists (listing.js). Returns
+// [{ label, changed, fields: [{ field, before, after, changed, ops }] }]
+export function diffListings(before, after) {
+  const a = before || [];
+  const b = after || [];
+  const out = [];
+  for (let i = 0; i < Math.max(a.length, b.length); i++) {
+    const fields = diffVariant(a[i], b[i]);
+    out.push({
+      label: b[i]?.label || a[i]?.label || VARIANT_LABELS[i] || `VARIANT ${i + 1}`,
+      changed: fields.some((f) => f.changed),
+      fields,
+    });
+  }
+  return out;
+}
+
+function diffVariant(a = {}, b = {}) {
+  const fields = [["title", a.title, b.title]];
+  const bullets = Math.max((a.bullets || []).length, (b.bullets || []).length);
+  for (let i = 0; i < bullets; i++) fields.push([`bullet:${i + 1}`, a.bullets?.[i], b.bullets?.[i]]);
+  fields.push(["description", a.description, b.description], ["backend_terms", a.backend_terms, b.backend_terms]);
+
+  return fields.map(([field, before = "", after = ""]) => ({
+    field,
+    before,
+    after,
+    changed: before !== after,
+    ops: diffWords(before, after),
+  }));
+}
+
+export function diffWords(before, after) {
+  const a = String(before || "");
+  const b = String(after || "");
+  if (a === b) return a ? [{ op: "eq", text: a }] : [];
+  const ops = [];
+  diffTokens(tokenize(a), tokenize(b), ops, true);
+  return ops;
+}
+
+// Appends the ops that turn tokens a into b. The common head and tail need no table; a middle
+// too large for one (long descriptions) is diffed by sentence first, then word by word inside
+// the replaced sentences.
+function diffTokens(a, b, ops, bySentence) {
+  let head = 0;
+  while (head < a.length && head < b.length && a[head] === b[head]) head++;
+  let tail = 0;
+  while (tail < a.length - head && tail < b.length - head && a[a.length - 1 - tail] === b[b.length - 1 - tail]) tail++;
+  const midA = a.slice(head, a.length - tail);
+  const midB = b.slice(head, b.length - tail);
+
+  push(ops, "eq", a.slice(0, head).join(""));
+  if (midA.length * midB.length <= MAX_CELLS) {
+    lcsOps(midA, midB, ops);
+  } else if (bySentence) {
+    const sa = sentences(midA.join(""));
+    const sb = sentences(midB.join(""));
+    const chunks = [];
+    if (sa.length * sb.length <= MAX_CELLS) lcsOps(sa, sb, chunks);
+    else chunks.push({ op: "del", text: midA.join("") }, { op: "add", text: midB.join("") });
+    for (let k = 0; k < chunks.length; k++) {
+      const c = chunks[k];
+      const next = chunks[k + 1];
+      if (c.op !== "eq" && next && next.op !== "eq") {
+        const [del, add] = c.op === "del" ? [c, next] : [next, c];
+        diffTokens(tokenize(del.text), tokenize(add.text), ops, false);
+        k++;
+      } else {
+        push(ops, c.op, c.text);
+      }
+    }
+  } else {
+    push(ops, "del", midA.join(""));
+    push(ops, "add", midB.join(""));
+  }
+  push(ops, "eq", a.slice(a.length - tail).join(""));
+}
+
+function lcsOps(a, b, ops) {
+  // lcs[i][j] = LCS length of a[i..] and b[j..]
+  const lcs = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      push(ops, "eq", a[i++]);
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      push(ops, "del", a[i++]);
+    } else {
+      push(ops, "add", b[j++]);
+    }
+  }
+  while (i < a.length) push(ops, "del", a[i++]);
+  while (j < b.length) push(ops, "add", b[j++]);
+}
+
+// consecutive ops of one kind are merged
+function push(ops, op, text) {
+  if (!text) return;
+  const last = ops[ops.length - 1];
+  if (last && last.op === op) last.text += text;
+  else ops.push({ op, text });
+}
+
+// a word with the whitespace after it is one token (leading whitespace is its own)
+function tokenize(s) {
+  return String(s || "").match(/\s+|\S+\s*/g) || [];
+}
+
+// sentences / lines with their trailing whitespace – joined they give the text back
+function sentences(s) {
+  return (s.match(/[^\n.!?]*(?:[.!?]+\s*|\n+|$)/g) || []).filter(Boolean);
+}
@@ -0,0 +1,186 @@
+import { getStore } from "./store.js";
+import { normalizeSpaces } from "./listing.js";
+import { truncate } from "./html.js";
+import { fetchProductContext } from "./scrape.js";
+
+// Product facts: a scraped product page as structured, editable fields. /api/scrape returns
+// them for review; /api/generate takes the edited `facts` back instead of scraping again.
+// Scrapes are cached by URL, so repeated generations do not refetch the supplier page.
+//
+//   scrape:<sha256(url)>   { fetched_at, ctx }   (SCRAPE_CACHE_TTL, default 6 h)
+//
+// facts: { source_url, name, brand, sku, gtin, mpn, asin, category, description, bullets: [...],
+//          details: { key: value }, price, currency, availability, images: [...], page_text }
+
+const CACHE_PREFIX = "scrape:";
+const STRING_FIELDS = {
+  source_url: 2000,
+  name: 500,
+  brand: 200,
+  sku: 100,
+  gtin: 20,
+  mpn: 100,
+  asin: 10,
+  category: 300,
+  description: 10000,
+  price: 50,
+  currency: 10,
+  availability: 200,
+  page_text: 20000,
+};
+const MAX_BULLETS = 20;
+const MAX_DETAILS = 60;
+const MAX_IMAGES = 10;
+
+export function scrapeCacheTtl(env) {
+  const raw = env?.SCRAPE_CACHE_TTL;
+  const n = Number(raw);
+  return raw == null || raw === "" || !Number.isFinite(n) ? 6 * 60 * 60 : Math.max(0, Math.floor(n));
+}
+
+/* ---------------- SCRAPE (CACHED) ---------------- */
+
+// Returns { ok: true, url, cached, fetched_at, ctx, facts, warnings }
+// or { ok: false, url, error, warnings } – never throws
+export async function scrapeProduct(env, url, { refresh = false, timeoutMs = 15000 } = {}) {
+  const store = getStore(env);
+  const ttl = scrapeCacheTtl(env);
+  const key = CACHE_PREFIX + (await sha256Hex(url));
+
+  if (ttl && !refresh) {
+    const hit = await store.getJson(key);
+    if (hit?.ctx) return scraped(url, hit.ctx, hit.fetched_at, true);
+  }
+
+  let ctx;
+  try {
+    ctx = await fetchProductContext(env, url, { timeoutMs });
+  } catch (e) {
+    const error = String(e?.message || e);
+    return { ok: false, url, error, warnings: [{ code: "fetch_failed", message: `Page could not be read: ${error}` }] };
+  }
+
+  const fetchedAt = new Date().toISOString();
+  const out = scraped(url, ctx, fetchedAt, false);
+  // blocked / error pages may work next time
+  if (ttl && !out.warnings.some((w) => w.code === "blocked" || w.code === "http_status")) {
+    await store.putJson(key, { fetched_at: fetchedAt, ctx }, { ttl });
+  }
+  return out;
+}
+
+function scraped(url, ctx, fetchedAt, cached) {
+  return { ok: true, url, cached, fetched_at: fetchedAt, ctx, facts: productFacts(ctx), warnings: scrapeWarnings(ctx) };
+}
+
+async function sha256Hex(s) {
+  const hash = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(String(s)));
+  return [...new Uint8Array(hash)].map((b) => b.toString(16).padStart(2, "0")).join("");
+}
+
+/* ---------------- FACTS ---------------- */
+
+// Product context (scrape.js) → facts. Amazon fields win over JSON-LD; the page text is only
+// kept when the page has neither
+export function productFacts(ctx) {
+  const ld = ctx.product_jsonld || {};
+  const a = ctx.amazon;
+  return {
+    source_url: ctx.source_url || "",
+    name: a?.title || ld.name || ctx.h1 || ctx.page_title || "",
+    brand: a?.brand || ld.brand || "",
+    sku: ld.sku || "",
+    gtin: ld.gtin || "",
+    mpn: ld.mpn || "",
+    asin: a?.asin || "",
+    category: ld.category || a?.bsr?.[0]?.category || "",
+    description: a?.description || ld.description || ctx.meta_description || "",
+    bullets: a?.bullets || [],
+    details: a?.technical_details || {},
+    price: ld.price || "",
+    currency: ld.currency || "",
+    availability: ld.availability || "",
+    images: (ld.images || []).slice(0, MAX_IMAGES),
+    page_text: !ctx.product_jsonld && !a ? truncate(ctx.extracted_text, 9000) : "",
+  };
+}
+
+// What the reviewer should know before trusting the facts: [{ code, message }]
+export function scrapeWarnings(ctx) {
+  const warnings = [];
+  const head = `${ctx.page_title} ${String(ctx.extracted_text || "").slice(0, 2000)}`;
+  const structured = ctx.product_jsonld || ctx.amazon;
+
+  if (ctx.status >= 400) {
+    warnings.push({ code: "http_status", message: `HTTP ${ctx.status} – the page may be blocked or gone` });
+  }
+  if (/captcha|robot check|are you a (human|robot)|access denied|attention required|unusual traffic/i.test(head)) {
+    warnings.push({ code: "blocked", message: "The site answered with a bot check instead of the product page" });
+  }
+  if (!structured) {
+    warnings.push({ code: "no_structured_data", message: "No product data (JSON-LD / Amazon fields) – facts come from the page text only" });
+    if (String(ctx.extracted_text || "").length < 200) {
+      warnings.push({ code: "empty", message: "The page is almost empty (rendered by JavaScript?)" });
+    }
+  }
+  if (ctx.truncated) {
+    warnings.push({ code: "truncated", message: "The page is larger than SCRAPE_MAX_BYTES – only the beginning was read" });
+  }
+  return warnings;
+}
+
+// Edited facts from the client → { ok: true, facts } or { ok: false, error }
+export function sanitizeFacts(raw) {
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) return { ok: false, error: "facts must be an object" };
+
+  const facts = {};
+  for (const [field, max] of Object.entries(STRING_FIELDS)) {
+    const v = raw[field] == null ? "" : field === "page_text" || field === "description" ? String(raw[field]).trim() : normalizeSpaces(raw[field]);
+    if (v.length > max) return { ok: false, error: `facts.${field} too long (max ${max})` };
+    facts[field] = v;
+  }
+
+  const list = (x) => (Array.isArray(x) ? x : String(x || "").split("\n")).map((s) => normalizeSpaces(s)).filter(Boolean);
+  facts.bullets = list(raw.bullets);
+  if (facts.bullets.length > MAX_BULLETS) return { ok: false, error: `Too many facts.bullets (max ${MAX_BULLETS})` };
+  facts.images = list(raw.images).slice(0, MAX_IMAGES);
+
+  facts.details = {};
+  if (raw.details != null) {
+    if (typeof raw.details !== "object" || Array.isArray(raw.details)) return { ok: false, error: "facts.details must be an object" };
+    for (const [k, v] of Object.entries(raw.details)) {
+      const key = normalizeSpaces(k);
+      const value = normalizeSpaces(v);
+      if (key && value) facts.details[key] = value.slice(0, 1000);
+    }
+    if (Object.keys(facts.details).length > MAX_DETAILS) return { ok: false, error: `Too many facts.details (max ${MAX_DETAILS})` };
+  }
+
+  const filled = Object.entries(facts).some(([k, v]) => k !== "source_url" && (Array.isArray(v) ? v.length : typeof v === "object" ? Object.keys(v).length : v));
+  if (!filled) return { ok: false, error: "facts are empty" };
+  return { ok: true, facts };
+}
+
+// Facts → product context for the prompt (the reviewed counterpart of buildProductContextText)
+export function factsToText(f) {
+  const lines = [];
+  if (f.source_url) lines.push(`SOURCE URL: ${f.source_url}`, "");
+  lines.push("PRODUCT FACTS (reviewed by the seller – treat as correct):");
+  const field = (label, value) => value && lines.push(`${label}: ${value}`);
+  field("Name", f.name);
+  field("Brand", f.brand);
+  field("ASIN", f.asin);
+  field("SKU", f.sku);
+  field("GTIN", f.gtin);
+  field("MPN", f.mpn);
+  field("Category", f.category);
+  field("Price", `${f.price || ""} ${f.currency || ""}`.trim());
+  field("Availability", f.availability);
+  if (f.bullets.length) lines.push("Bullet points:", ...f.bullets.map((b) => `- ${b}`));
+  field("Description", f.description);
+  const details = Object.entries(f.details);
+  if (details.length) lines.push("Technical details:", ...details.map(([k, v]) => `- ${k}: ${v}`));
+  if (f.images.length) lines.push(`Images: ${f.images.slice(0, 5).join(" | ")}`);
+  if (f.page_text) lines.push("", "PAGE TEXT:", f.page_text);
+  return truncate(lines.join("\n").trim(), 12000);
+}
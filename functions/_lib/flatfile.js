@@ -0,0 +1,70 @@
+import { normalizeSpaces } from "./listing.js";
+
+// Amazon inventory flat file (category template, "Template" sheet) for the listing text.
+// Layout like the downloaded templates: row 1 template type, row 2 labels, row 3 attribute
+// names, then one row per item. Only the listing columns are filled – the file is meant for
+// the "Template" sheet of any category, other attributes stay as they are (Update) or are
+// added in Seller Central.
+
+export const FLATFILE_MIN_BULLETS = 5;
+
+// attribute → label (row 2)
+const BASE_COLUMNS = [
+  ["feed_product_type", "Product Type"],
+  ["item_sku", "Seller SKU"],
+  ["brand_name", "Brand Name"],
+  ["update_delete", "Update Delete"],
+  ["external_product_id", "Product ID"],
+  ["external_product_id_type", "Product ID Type"],
+  ["item_name", "Item Name (aka Title)"],
+  ["product_description", "Product Description"],
+];
+
+export const UPDATE_MODES = ["Update", "PartialUpdate", "Delete"];
+
+// GTIN digits → Amazon's external_product_id_type
+export function productIdType(id) {
+  const digits = String(id || "").replace(/\D/g, "");
+  if (!digits || digits !== String(id).trim()) return "";
+  if (digits.length === 12) return "UPC";
+  if (digits.length === 8 || digits.length === 13) return "EAN";
+  if (digits.length === 14) return "GTIN";
+  return "";
+}
+
+// items: [{ variant, sku, product_type, brand_name, product_id, update_delete }]
+// Returns an array of rows (arrays of strings).
+export function buildFlatFileRows(items) {
+  const bulletCols = Math.max(FLATFILE_MIN_BULLETS, ...items.map((it) => (it.variant.bullets || []).length));
+
+  const columns = [
+    ...BASE_COLUMNS,
+    ...Array.from({ length: bulletCols }, (_, i) => [`bullet_point${i + 1}`, `Key Product Features ${i + 1}`]),
+    ["generic_keywords", "Search Terms"],
+  ];
+
+  const rows = [
+    ["TemplateType=fptcustom", "Version=2024.0101", "The top 3 rows are for Amazon.com use only. Do not modify or delete the top 3 rows."],
+    columns.map(([, label]) => label),
+    columns.map(([key]) => key),
+  ];
+
+  for (const it of items) {
+    const v = it.variant;
+    const values = {
+      feed_product_type: it.product_type || "",
+      item_sku: it.sku || "",
+      brand_name: it.brand_name || "",
+      update_delete: it.update_delete || "Update",
+      external_product_id: it.product_id || "",
+      external_product_id_type: productIdType(it.product_id),
+      item_name: normalizeSpaces(v.title),
+      // Amazon strips most HTML; paragraph breaks survive as <br>
+      product_description: String(v.description || "").trim().split(/\n\s*\n/).map(normalizeSpaces).join("<br><br>"),
+      generic_keywords: normalizeSpaces(v.backend_terms),
+    };
+    (v.bullets || []).forEach((b, i) => (values[`bullet_point${i + 1}`] = normalizeSpaces(b)));
+    rows.push(columns.map(([key]) => values[key] || ""));
+  }
+  return rows;
+}
@@ -0,0 +1,193 @@
+import { json } from "./http.js";
+import { requireRole } from "./auth.js";
+import { getStore } from "./store.js";
+import { variantsToText } from "./listing.js";
+import { resolveListingRules } from "./pipeline.js";
+import { keywordCoverage } from "./keywords.js";
+
+// Listing history: every generation (and every manual edit) is a numbered version of a listing.
+//
+//   listing:<id>          { id, owner, created_at, updated_at, brand_name, sku, marketplace, title,
+//                           source_url, latest, versions: [{ version, created_at, created_by, source, note, ok }] }
+//   listingver:<id>:<n>   { listing, version, created_at, created_by, source, note, inputs, context,
+//                           provider, category, profile, output, variants, validation, compliance, keywords, repair }
+//
+// source: "generate" (/api/generate), "batch" (batch job row), "localize" (/api/localize),
+// "regenerate" (/api/regenerate, some fields rewritten) or "edit" (manual edit, revalidated).
+// The listing record is the search index; versions hold the full data.
+
+const LISTING_PREFIX = "listing:";
+const VERSION_PREFIX = "listingver:";
+
+/* ---------------- SAVE ---------------- */
+
+// After a successful runGeneration (pipeline.js). `body` is the original request body,
+// `res` the runGeneration result. Appends to `listingId` when given, else starts a new listing.
+// Returns { id, version }.
+export async function saveGeneration(env, auth, { body, res, source = "generate", sku, listingId, note }) {
+  const r = res.body;
+  const inputs = {
+    marketplace: String(body.marketplace || "").trim(),
+    brand_name: String(body.brand_name || "").trim(),
+    brand: body.brand || null,
+    brand_voice: String(body.brand_voice || "").trim(),
+    usp: String(body.usp || "").trim(),
+    user_prompt: String(body.user_prompt || "").trim(),
+    category: String(body.category || "auto").trim().toLowerCase(),
+    profile: body.profile ?? null,
+    constraints: body.constraints ?? null,
+    variants: Number(body.variants) === 3 ? 3 : 1,
+    format: r.format === "json" ? "json" : "text",
+    keywords: res.keywords || null,
+  };
+
+  return addVersion(env, auth, listingId ? await getListing(env, listingId) : null, {
+    source,
+    note,
+    sku: String(sku || r.product?.sku || "").trim(),
+    inputs,
+    context: res.context || null,
+    provider: r.provider || null,
+    category: r.category || null,
+    profile: r.profile?.name || null,
+    output: r.output,
+    variants: res.list,
+    validation: r.validation,
+    compliance: r.compliance,
+    keywords: r.keywords || null,
+    repair: r.repair || null,
+  });
+}
+
+// Manual edit of the latest version → new version, validated like checkEdit.
+// Returns { id, version, check, keywords } or { error }.
+export async function saveEdit(env, auth, listing, { list, note, sku }) {
+  const base = await getVersion(env, listing.id, listing.latest);
+  if (!base) return { error: "Listing has no versions" };
+
+  const checked = await checkEdit(env, base, list);
+  if (checked.error) return checked;
+  const { check, keywords } = checked;
+
+  const saved = await addVersion(env, auth, listing, {
+    source: "edit",
+    note,
+    sku: sku != null ? String(sku).trim() : listing.sku,
+    inputs: base.inputs,
+    context: base.context,
+    provider: null,
+    category: base.category,
+    profile: base.profile,
+    output: variantsToText(list),
+    variants: list,
+    validation: check.validation,
+    compliance: check.compliance,
+    keywords,
+    repair: null,
+  });
+  return { ...saved, check, keywords };
+}
+
+// `list` checked against the marketplace, category, profile and brand rules of a stored version
+// (and scored against its keywords) – for saveEdit and the unsaved edits of /api/validate.
+// Returns { rules, check, keywords } or { error }.
+export async function checkEdit(env, base, list) {
+  const rules = await resolveListingRules(env, {
+    marketplace: base.inputs.marketplace,
+    categoryRaw: base.category?.id || base.inputs.category,
+    profile: base.inputs.profile,
+    constraints: base.inputs.constraints,
+    brandName: base.inputs.brand_name,
+    brand: base.inputs.brand,
+  });
+  if (!rules.ok) return { error: rules.error };
+  const check = rules.check(list);
+  const keywords = base.inputs.keywords ? keywordCoverage(list, base.inputs.keywords) : null;
+  return { rules, check, keywords };
+}
+
+async function addVersion(env, auth, listing, data) {
+  const store = getStore(env);
+  const now = new Date().toISOString();
+  const ok = !!(data.validation?.ok && data.compliance?.ok);
+
+  const rec = listing || {
+    id: crypto.randomUUID(),
+    owner: auth.sub,
+    created_at: now,
+    latest: 0,
+    versions: [],
+  };
+  const version = rec.latest + 1;
+  const note = String(data.note || "").trim().slice(0, 200);
+
+  await store.putJson(`${VERSION_PREFIX}${rec.id}:${version}`, {
+    ...data,
+    listing: rec.id,
+    version,
+    created_at: now,
+    created_by: auth.sub,
+    note,
+  });
+
+  rec.latest = version;
+  rec.updated_at = now;
+  rec.brand_name = data.inputs.brand_name;
+  rec.marketplace = data.inputs.marketplace;
+  rec.sku = data.sku || rec.sku || "";
+  rec.title = data.variants?.[0]?.title || "";
+  rec.source_url = data.context?.source_url || rec.source_url || "";
+  rec.versions.push({ version, created_at: now, created_by: auth.sub, source: data.source, note, ok });
+  await store.putJson(LISTING_PREFIX + rec.id, rec);
+
+  return { id: rec.id, version };
+}
+
+/* ---------------- READ ---------------- */
+
+export async function getListing(env, id) {
+  if (!/^[0-9a-f-]{36}$/.test(String(id || ""))) return null;
+  return getStore(env).getJson(LISTING_PREFIX + id);
+}
+
+export async function getVersion(env, id, version) {
+  const n = Number(version);
+  if (!Number.isInteger(n) || n < 1) return null;
+  return getStore(env).getJson(`${VERSION_PREFIX}${id}:${n}`);
+}
+
+// For the /api/history/:id routes: { listing } or { response } (401/403/404)
+export async function findOwnListing(env, data, id, role = "viewer") {
+  const denied = requireRole(data, role);
+  if (denied) return { response: denied };
+
+  const listing = await getListing(env, id);
+  if (!listing || (listing.owner !== data.auth.sub && data.auth.role !== "admin")) {
+    return { response: json({ error: "Unknown listing" }, 404) };
+  }
+  return { listing };
+}
+
+// filters: { owner?, q?, brand?, sku?, marketplace?, limit? } – case-insensitive substrings,
+// `q` matches brand, SKU, marketplace, title and source URL. Newest first.
+export async function searchListings(env, { owner, q, brand, sku, marketplace, limit = 50 } = {}) {
+  const store = getStore(env);
+  const has = (value, needle) => !needle || String(value || "").toLowerCase().includes(String(needle).toLowerCase());
+
+  const out = [];
+  for (const key of await store.list(LISTING_PREFIX)) {
+    const l = await store.getJson(key);
+    if (!l || (owner && l.owner !== owner)) continue;
+    if (!has(l.brand_name, brand) || !has(l.sku, sku) || !has(l.marketplace, marketplace)) continue;
+    if (q && ![l.brand_name, l.sku, l.marketplace, l.title, l.source_url].some((v) => has(v, q))) continue;
+    const { versions, ...summary } = l;
+    out.push({ ...summary, versions: versions.length });
+  }
+  return out.sort((a, b) => String(b.updated_at).localeCompare(String(a.updated_at))).slice(0, limit);
+}
+
+export async function deleteListing(env, listing) {
+  const store = getStore(env);
+  for (const v of listing.versions) await store.delete(`${VERSION_PREFIX}${listing.id}:${v.version}`);
+  await store.delete(LISTING_PREFIX + listing.id);
+}
@@ -0,0 +1,113 @@
+import { normalizeSpaces } from "./listing.js";
+
+// Regex-based HTML helpers for the scrapers (scrape.js, amazon.js) – no DOM in Workers.
+
+export function stripTags(s) {
+  return String(s || "").replace(/<[^>]+>/g, " ");
+}
+
+export function decodeHtmlEntities(s) {
+  let out = String(s || "");
+
+  const map = {
+    "&amp;": "&",
+    "&lt;": "<",
+    "&gt;": ">",
+    "&quot;": '"',
+    "&#34;": '"',
+    "&#39;": "'",
+    "&apos;": "'",
+    "&nbsp;": " ",
+  };
+
+  out = out.replace(/&(amp|lt|gt|quot|apos|nbsp);/g, (m) => map[m] || m);
+  out = out.replace(/&#(\d+);/g, (_, d) => {
+    const code = Number(d);
+    if (!Number.isFinite(code)) return _;
+    try { return String.fromCharCode(code); } catch { return _; }
+  });
+  out = out.replace(/&#x([0-9a-f]+);/gi, (_, h) => {
+    const code = parseInt(h, 16);
+    if (!Number.isFinite(code)) return _;
+    try { return String.fromCharCode(code); } catch { return _; }
+  });
+
+  // handle any remaining common mapped ones
+  for (const [k, v] of Object.entries(map)) {
+    out = out.split(k).join(v);
+  }
+  return out;
+}
+
+export function cleanHtmlToText(html) {
+  let s = String(html || "");
+
+  // remove scripts/styles/noscript
+  s = s.replace(/<script[\s\S]*?<\/script>/gi, " ");
+  s = s.replace(/<style[\s\S]*?<\/style>/gi, " ");
+  s = s.replace(/<noscript[\s\S]*?<\/noscript>/gi, " ");
+
+  // drop svg (often huge)
+  s = s.replace(/<svg[\s\S]*?<\/svg>/gi, " ");
+
+  // keep separators
+  s = s.replace(/<\/(p|div|li|br|h1|h2|h3|h4|h5|h6|tr|td|th)>/gi, "\n");
+
+  // strip remaining tags
+  s = stripTags(s);
+
+  // decode entities + normalize spaces
+  s = decodeHtmlEntities(s);
+  s = s.replace(/[ \t]+\n/g, "\n");
+  s = s.replace(/\n{3,}/g, "\n\n");
+  s = s.replace(/[ \t]{2,}/g, " ");
+
+  return normalizeSpaces(s).slice(0, 20000);
+}
+
+export function truncate(s, maxLen) {
+  const str = String(s || "");
+  if (str.length <= maxLen) return str;
+  return str.slice(0, maxLen - 20).trimEnd() + "\n...[TRUNCATED]...";
+}
+
+export function escapeRegExp(s) {
+  return String(s || "").replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// Inner HTML of the first element with this id (nested elements of the same tag are balanced),
+// "" when there is none
+export function elementHtmlById(html, id) {
+  const s = String(html || "");
+  const open = new RegExp(`<([a-z][a-z0-9]*)\\b[^>]*\\bid=["']${escapeRegExp(id)}["'][^>]*>`, "i").exec(s);
+  if (!open) return "";
+  const tag = open[1].toLowerCase();
+  const start = open.index + open[0].length;
+  if (/^(input|img|br|meta|link)$/.test(tag) || open[0].endsWith("/>")) return "";
+
+  const re = new RegExp(`<(/?)${tag}\\b[^>]*>`, "gi");
+  re.lastIndex = start;
+  let depth = 1;
+  let m;
+  while ((m = re.exec(s)) !== null) {
+    depth += m[1] ? -1 : 1;
+    if (depth === 0) return s.slice(start, m.index);
+  }
+  return s.slice(start);
+}
+
+const INLINE_TAGS = "a|abbr|b|bdi|bdo|cite|code|em|font|i|mark|q|s|small|span|strong|sub|sup|u";
+const INLINE_TAG_RE = new RegExp(`</?(?:${INLINE_TAGS})\\b[^>]*>`, "gi");
+const INLINE_PAIR_RE = new RegExp(`</(?:${INLINE_TAGS})>(?=\\s*<(?:${INLINE_TAGS})\\b)`, "gi");
+
+// Visible text of a fragment, whitespace and direction marks (Amazon's "‎ : ‏") dropped.
+// Inline tags go without a space, so "Great <b>bottle</b>." stays "Great bottle." – except
+// between two inline elements ("<span>a</span><span>b</span>" → "a b").
+export function fragmentText(fragment) {
+  const html = String(fragment || "")
+    .replace(/<(script|style)[\s\S]*?<\/\1>/gi, " ")
+    .replace(INLINE_PAIR_RE, " ")
+    .replace(INLINE_TAG_RE, "");
+  return normalizeSpaces(decodeHtmlEntities(stripTags(html)).replace(/[\u200e\u200f]/g, ""));
+}
+
@@ -0,0 +1,16 @@
+export function json(obj, status = 200, headers = {}) {
+  return new Response(JSON.stringify(obj), {
+    status,
+    headers: { "Content-Type": "application/json; charset=utf-8", ...headers },
+  });
+}
+
+export function unauthorized(message = "Unauthorized") {
+  return json({ error: message }, 401, { "WWW-Authenticate": 'Bearer realm="api"' });
+}
+
+export function bearerToken(request) {
+  const h = request.headers.get("Authorization") || "";
+  const m = h.match(/^Bearer\s+(\S+)$/i);
+  return m ? m[1] : "";
+}
@@ -0,0 +1,203 @@
+import { parseCsv, csvToObjects } from "./csv.js";
+import { normalizeSpaces } from "./listing.js";
+
+// Keyword research (Helium 10 Cerebro/Magnet, Brand Analytics or a hand-made list) for a generation:
+// high-priority keywords go into title and bullets, the rest into the backend search terms,
+// and the result gets a coverage report – where each keyword landed, which were dropped and
+// a search-volume-weighted score per variant.
+//
+// keyword: { keyword, volume, priority: "high" | "medium" | "low" }
+
+export const MAX_KEYWORDS = 200;
+export const KEYWORD_PRIORITIES = ["high", "medium", "low"];
+
+// header (lowercased, spaces → _) → field; the exports name the same things differently
+const COLUMN_ALIASES = {
+  keyword: "keyword",
+  keywords: "keyword",
+  keyword_phrase: "keyword",
+  search_term: "keyword",
+  search_terms: "keyword",
+  phrase: "keyword",
+  volume: "volume",
+  search_volume: "volume",
+  "search_volume_(exact)": "volume",
+  monthly_search_volume: "volume",
+  sv: "volume",
+  priority: "priority",
+  prio: "priority",
+};
+
+const PRIORITY_ALIASES = { 1: "high", 2: "medium", 3: "low", h: "high", m: "medium", l: "low", mid: "medium" };
+
+/* ---------------- IMPORT ---------------- */
+
+// CSV text → { ok: true, keywords } or { ok: false, error }
+export function parseKeywordCsv(text) {
+  const objects = csvToObjects(parseCsv(text));
+  if (!objects.length) return { ok: false, error: "Keyword CSV has no data rows (first row must be the header)" };
+
+  const rows = objects.map((o) => {
+    const out = {};
+    for (const [k, v] of Object.entries(o)) if (COLUMN_ALIASES[k] && !out[COLUMN_ALIASES[k]]) out[COLUMN_ALIASES[k]] = v;
+    return out;
+  });
+  if (!rows.some((r) => r.keyword)) {
+    return { ok: false, error: "Keyword CSV needs a keyword column (keyword, keyword phrase or search term)" };
+  }
+  return sanitizeKeywords(rows);
+}
+
+// [{ keyword, volume?, priority? }] (request body or CSV rows) → { ok: true, keywords } or { ok: false, error }.
+// Duplicates are merged (highest volume/priority wins). Without any priority the list is split
+// by volume: top third high, next third medium, the rest low.
+export function sanitizeKeywords(raw) {
+  if (!Array.isArray(raw)) return { ok: false, error: "keywords must be an array of { keyword, volume?, priority? }" };
+
+  const byKey = new Map();
+  for (const item of raw) {
+    const keyword = normalizeSpaces(typeof item === "string" ? item : item?.keyword).toLowerCase();
+    if (!keyword) continue;
+    if (keyword.length > 80) return { ok: false, error: `Keyword too long: ${keyword.slice(0, 40)}…` };
+
+    const volume = parseVolume(item?.volume);
+    const p = String(item?.priority ?? "").trim().toLowerCase();
+    const priority = KEYWORD_PRIORITIES.includes(p) ? p : PRIORITY_ALIASES[p] || "";
+    if (p && !priority) return { ok: false, error: `Invalid priority "${item.priority}" (high, medium, low or 1–3)` };
+
+    const prev = byKey.get(keyword);
+    byKey.set(keyword, {
+      keyword,
+      volume: Math.max(volume, prev?.volume || 0),
+      priority: rank(priority) < rank(prev?.priority) ? priority : prev?.priority || priority,
+    });
+  }
+
+  const keywords = [...byKey.values()].sort((a, b) => b.volume - a.volume);
+  if (!keywords.length) return { ok: false, error: "No keywords" };
+  if (keywords.length > MAX_KEYWORDS) return { ok: false, error: `Too many keywords (${keywords.length}), max ${MAX_KEYWORDS}` };
+
+  if (!keywords.some((k) => k.priority)) {
+    const third = Math.ceil(keywords.length / 3);
+    keywords.forEach((k, i) => (k.priority = i < third ? "high" : i < 2 * third ? "medium" : "low"));
+  } else {
+    for (const k of keywords) k.priority ||= "medium";
+  }
+  return { ok: true, keywords };
+}
+
+function rank(priority) {
+  const i = KEYWORD_PRIORITIES.indexOf(priority);
+  return i === -1 ? KEYWORD_PRIORITIES.length : i;
+}
+
+// Search volume as tools export it: 12345, "12,345", "12.345", "1 234", "1.234,5", "1,5k", "2.3M".
+// With both separators the last one is the decimal mark; a single one followed by exactly three
+// digits groups thousands, otherwise it is the decimal mark. Anything else is 0.
+function parseVolume(raw) {
+  if (typeof raw === "number") return Number.isFinite(raw) ? Math.max(0, Math.round(raw)) : 0;
+  const m = String(raw ?? "")
+    .trim()
+    .toLowerCase()
+    .replace(/[\s\u00a0\u202f']/g, "")
+    .match(/^(\d[\d.,]*)(k|m)?$/);
+  if (!m) return 0;
+  const [, num, suffix] = m;
+
+  const lastDot = num.lastIndexOf(".");
+  const lastComma = num.lastIndexOf(",");
+  let value;
+  if (lastDot !== -1 && lastComma !== -1) {
+    const decimal = lastDot > lastComma ? "." : ",";
+    const [int, frac, ...rest] = num.split(decimal);
+    if (rest.length || !/^\d{1,3}([.,]\d{3})*$/.test(int) || !/^\d+$/.test(frac)) return 0;
+    value = Number(`${int.replace(/[.,]/g, "")}.${frac}`);
+  } else if (lastDot !== -1 || lastComma !== -1) {
+    const parts = num.split(lastDot !== -1 ? "." : ",");
+    const grouped = !suffix && /^[1-9]\d{0,2}$/.test(parts[0]) && parts.slice(1).every((x) => /^\d{3}$/.test(x));
+    if (grouped) value = Number(parts.join(""));
+    else if (parts.length === 2 && parts[1]) value = Number(`${parts[0]}.${parts[1]}`);
+    else return 0;
+  } else {
+    value = Number(num);
+  }
+  if (!Number.isFinite(value)) return 0;
+  return Math.round(value * (suffix === "k" ? 1000 : suffix === "m" ? 1000000 : 1));
+}
+
+/* ---------------- PROMPT ---------------- */
+
+// Prompt section – part of the product context, so the repair calls keep the keywords too
+export function keywordPromptText(keywords) {
+  if (!keywords?.length) return "";
+  const list = (p) => keywords.filter((k) => k.priority === p).map((k) => k.keyword);
+  const high = list("high").slice(0, 15);
+  const rest = [...list("medium"), ...list("low")].slice(0, 60);
+
+  return `KEYWORDS (from keyword research – use these, do not invent other search terms):
+${high.length ? `- High priority – each one MUST appear in the title or the bullets (title first), naturally worded: ${high.join(", ")}
+` : ""}${rest.length ? `- Backend search terms: fill them with the words of these keywords (in this order, most important first) – skip words already in the title, no duplicates, stay within the byte limit: ${rest.join(", ")}
+` : ""}- Do not repeat the same keyword over and over; every keyword needs to appear once in a searchable field.`;
+}
+
+/* ---------------- COVERAGE ---------------- */
+
+// Where each keyword landed, per variant. A keyword is "in" a field when all its words occur
+// in that field (any order – that is how Amazon matches); it counts as covered when it is in
+// a searchable field (title, bullets, backend terms) or its words are spread over them.
+// Score: covered search volume / total volume (0–100; keywords without volume weigh 1).
+// Returns { ok, variants: [{ label, score, covered, total, high_missing, placed, dropped }] }
+export function keywordCoverage(list, keywords) {
+  const weight = (k) => k.volume || 1;
+  const total = keywords.reduce((s, k) => s + weight(k), 0);
+
+  const variants = list.map((v) => {
+    const fields = [
+      ["title", v.title],
+      ...(v.bullets || []).map((b, i) => [`bullet:${i + 1}`, b]),
+      ["description", v.description],
+      ["backend_terms", v.backend_terms],
+    ];
+    const tokens = fields.map(([name, text]) => [name, new Set(words(text))]);
+    const searchable = new Set(tokens.filter(([n]) => n !== "description").flatMap(([, set]) => [...set]));
+
+    const placed = [];
+    const dropped = [];
+    let covered = 0;
+    for (const k of keywords) {
+      const kw = words(k.keyword);
+      const where = tokens.filter(([, set]) => kw.every((w) => set.has(w))).map(([n]) => n);
+      const indexed = kw.every((w) => searchable.has(w));
+      if (indexed) {
+        covered += weight(k);
+        placed.push({ ...k, fields: where.length ? where : ["split"] });
+      } else {
+        dropped.push({ ...k, ...(where.length ? { fields: where } : {}) });
+      }
+    }
+
+    // high priority belongs in title/bullets, backend alone is not enough
+    const front = (p) => p.fields.some((f) => f === "title" || f.startsWith("bullet:"));
+    const highMissing = keywords
+      .filter((k) => k.priority === "high")
+      .filter((k) => !placed.some((p) => p.keyword === k.keyword && front(p)))
+      .map((k) => k.keyword);
+
+    return {
+      label: v.label || "",
+      score: total ? Math.round((covered / total) * 1000) / 10 : 0,
+      covered: placed.length,
+      total: keywords.length,
+      high_missing: highMissing,
+      placed,
+      dropped,
+    };
+  });
+
+  return { ok: variants.every((v) => !v.high_missing.length), variants };
+}
+
+// lowercase words (letters/digits incl. umlauts and accents)
+function words(s) {
+  return String(s || "").toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+}
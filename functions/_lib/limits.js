@@ -0,0 +1,161 @@
+import { json } from "./http.js";
+import { getStore } from "./store.js";
+
+// Defaults come from env; a user record may override them with `limits: { ... }`.
+// 0 (or empty) means "no limit".
+//   RATE_LIMIT_PER_MINUTE      requests per minute (default 6)
+//   MONTHLY_GENERATION_QUOTA   generations per calendar month (UTC)
+//   MONTHLY_TOKEN_QUOTA        OpenAI tokens (input + output) per calendar month
+//   RATE_LIMIT_SCOPE           "user" (default) or "token"
+//
+// Counters live in the KV-style store. KV is eventually consistent, so under a burst of
+// parallel requests a few may slip through – fine for cost control, not a hard guarantee.
+
+export const LIMIT_KEYS = ["per_minute", "monthly_generations", "monthly_tokens"];
+
+export function resolveLimits(env, user) {
+  const defaults = {
+    per_minute: toLimit(env?.RATE_LIMIT_PER_MINUTE, 6),
+    monthly_generations: toLimit(env?.MONTHLY_GENERATION_QUOTA, 0),
+    monthly_tokens: toLimit(env?.MONTHLY_TOKEN_QUOTA, 0),
+  };
+  const own = user?.limits || {};
+  const out = { ...defaults };
+  for (const k of LIMIT_KEYS) {
+    if (own[k] != null && own[k] !== "") out[k] = toLimit(own[k], defaults[k]);
+  }
+  return out;
+}
+
+// Validates an admin-supplied `limits` object; returns { ok, limits } or { ok: false, error }
+export function sanitizeLimits(raw) {
+  if (raw == null) return { ok: true, limits: null };
+  if (typeof raw !== "object" || Array.isArray(raw)) return { ok: false, error: "limits must be an object" };
+
+  const limits = {};
+  for (const k of LIMIT_KEYS) {
+    if (raw[k] == null || raw[k] === "") continue;
+    const n = Number(raw[k]);
+    if (!Number.isInteger(n) || n < 0) return { ok: false, error: `limits.${k} must be a non-negative integer` };
+    limits[k] = n;
+  }
+  return { ok: true, limits };
+}
+
+function toLimit(raw, fallback) {
+  if (raw == null || raw === "") return fallback;
+  const n = Number(raw);
+  return Number.isFinite(n) && n >= 0 ? Math.floor(n) : fallback;
+}
+
+function limitSubject(env, auth) {
+  return env?.RATE_LIMIT_SCOPE === "token" ? `t:${auth.jti}` : `u:${auth.sub}`;
+}
+
+/* ---------------- ENFORCE / RECORD ---------------- */
+
+// Call before doing expensive work. Returns a 429 Response, or null when the request may go on.
+// Counts the request against the per-minute window.
+export async function enforceLimits(env, auth) {
+  const limited = await checkLimits(env, auth);
+  return limited ? tooManyRequests(limited.error, limited.retryAfter) : null;
+}
+
+// The same checks for work without a request to answer (batch rows). Returns null or
+// { error, retryAfter (seconds), scope: "month" | "minute" }.
+export async function checkLimits(env, auth) {
+  const store = getStore(env);
+  const limits = resolveLimits(env, auth.user);
+  const subject = limitSubject(env, auth);
+  const now = Date.now();
+
+  const usage = (await store.getJson(monthKey(subject, now))) || emptyUsage();
+  const monthReset = Math.ceil((nextMonthStart(now) - now) / 1000);
+
+  if (limits.monthly_generations && usage.generations >= limits.monthly_generations) {
+    return { error: `Monthly generation quota reached (${limits.monthly_generations})`, retryAfter: monthReset, scope: "month" };
+  }
+  if (limits.monthly_tokens && usage.tokens >= limits.monthly_tokens) {
+    return { error: `Monthly token quota reached (${limits.monthly_tokens})`, retryAfter: monthReset, scope: "month" };
+  }
+
+  if (limits.per_minute) {
+    const key = minuteKey(subject, now);
+    const count = ((await store.getJson(key)) || 0) + 1;
+    if (count > limits.per_minute) {
+      const retry = Math.max(1, 60 - Math.floor((now / 1000) % 60));
+      return { error: `Rate limit: max ${limits.per_minute} requests per minute`, retryAfter: retry, scope: "minute" };
+    }
+    await store.putJson(key, count, { ttl: 120 });
+  }
+
+  return null;
+}
+
+export async function recordUsage(env, auth, { generations = 1, tokens = 0 } = {}) {
+  const store = getStore(env);
+  const key = monthKey(limitSubject(env, auth), Date.now());
+  const usage = (await store.getJson(key)) || emptyUsage();
+  usage.generations += generations;
+  usage.tokens += Math.max(0, Math.round(tokens || 0));
+  usage.updated_at = new Date().toISOString();
+  // keep a bit more than a month so the report for the last days still works
+  await store.putJson(key, usage, { ttl: 40 * 24 * 60 * 60 });
+}
+
+export async function getUsageReport(env, auth) {
+  const store = getStore(env);
+  const limits = resolveLimits(env, auth.user);
+  const subject = limitSubject(env, auth);
+  const now = Date.now();
+
+  const usage = (await store.getJson(monthKey(subject, now))) || emptyUsage();
+  const thisMinute = (await store.getJson(minuteKey(subject, now))) || 0;
+
+  const remaining = (limit, used) => (limit ? Math.max(0, limit - used) : null);
+
+  return {
+    period: monthId(now),
+    limits,
+    used: {
+      generations: usage.generations,
+      tokens: usage.tokens,
+      this_minute: thisMinute,
+    },
+    // null = unlimited
+    remaining: {
+      generations: remaining(limits.monthly_generations, usage.generations),
+      tokens: remaining(limits.monthly_tokens, usage.tokens),
+      this_minute: remaining(limits.per_minute, thisMinute),
+    },
+    resets_at: new Date(nextMonthStart(now)).toISOString(),
+  };
+}
+
+export function tooManyRequests(message, retryAfterSeconds) {
+  const retryAfter = Math.max(1, Math.ceil(retryAfterSeconds));
+  return json({ error: message, retry_after: retryAfter }, 429, { "Retry-After": String(retryAfter) });
+}
+
+/* ---------------- KEYS / TIME ---------------- */
+
+function emptyUsage() {
+  return { generations: 0, tokens: 0 };
+}
+
+function monthId(ms) {
+  return new Date(ms).toISOString().slice(0, 7); // YYYY-MM
+}
+
+function monthKey(subject, ms) {
+  return `usage:${subject}:${monthId(ms)}`;
+}
+
+function minuteKey(subject, ms) {
+  return `rl:${subject}:${Math.floor(ms / 60000)}`;
+}
+
+function nextMonthStart(ms) {
+  const d = new Date(ms);
+  return Date.UTC(d.getUTCFullYear(), d.getUTCMonth() + 1, 1);
+}
@@ -0,0 +1,220 @@
+/* ---------------- PARSING / REBUILD ---------------- */
+export function splitVariants(text) {
+  const s = String(text || "").trim();
+  const re = /\bVARIANT\s+[ABC]\b/gi;
+
+  const matches = [];
+  let m;
+  while ((m = re.exec(s)) !== null) matches.push({ idx: m.index, label: m[0].toUpperCase() });
+
+  if (!matches.length) return [{ label: "", text: s }];
+
+  const out = [];
+  for (let i = 0; i < matches.length; i++) {
+    const start = matches[i].idx;
+    const end = i + 1 < matches.length ? matches[i + 1].idx : s.length;
+    const chunk = s.slice(start, end).trim();
+    const firstLine = chunk.split("\n")[0].trim();
+    out.push({ label: firstLine, text: chunk.slice(firstLine.length).trim() });
+  }
+  return out;
+}
+
+export function parseAD(text) {
+  const t = String(text || "");
+  const title = extractBetweenAny(t, [/A\)\s*TITLE\s*:/i, /A\)\s*TITLE\s*/i], [/B\)\s*BULLET/i]);
+  const bullets = extractBetweenAny(
+    t,
+    [/B\)\s*BULLET[\s-]*POINTS\s*:/i, /B\)\s*BULLET[\s-]*POINTS/i],
+    [/C\)\s*DESCRIPTION/i]
+  );
+  const desc = extractBetweenAny(t, [/C\)\s*DESCRIPTION\s*:/i, /C\)\s*DESCRIPTION/i], [/D\)\s*BACKEND/i]);
+  const backend = extractAfterAny(
+    t,
+    [/D\)\s*BACKEND[\s-]*SEARCH\s*TERMS\s*:/i, /D\)\s*BACKEND[\s-]*SEARCH\s*TERMS/i]
+  );
+
+  return {
+    title: title.trim(),
+    bullets: bullets.trim(),
+    desc: desc.trim(),
+    backend: backend.trim(),
+  };
+}
+
+export function rebuildAD(p) {
+  return [
+    "A) TITLE:",
+    (p.title || "").trim(),
+    "",
+    "B) BULLET POINTS:",
+    (p.bullets || "").trim(),
+    "",
+    "C) DESCRIPTION:",
+    (p.desc || "").trim(),
+    "",
+    "D) BACKEND SEARCH TERMS:",
+    (p.backend || "").trim(),
+  ]
+    .join("\n")
+    .trim();
+}
+
+function extractBetweenAny(text, startPatterns, endPatterns) {
+  let startIdx = -1;
+  let startLen = 0;
+
+  for (const sp of startPatterns) {
+    const m = text.match(sp);
+    if (m && m.index != null) {
+      startIdx = m.index;
+      startLen = m[0].length;
+      break;
+    }
+  }
+  if (startIdx === -1) return "";
+
+  const from = startIdx + startLen;
+  let endIdx = -1;
+
+  for (const ep of endPatterns) {
+    const re = new RegExp(ep.source, ep.flags);
+    re.lastIndex = from;
+    const m2 = re.exec(text.slice(from));
+    if (m2 && m2.index != null) {
+      endIdx = from + m2.index;
+      break;
+    }
+  }
+
+  if (endIdx === -1) return text.slice(from);
+  return text.slice(from, endIdx);
+}
+
+function extractAfterAny(text, startPatterns) {
+  for (const sp of startPatterns) {
+    const m = text.match(sp);
+    if (m && m.index != null) {
+      return text.slice(m.index + m[0].length);
+    }
+  }
+  return "";
+}
+
+export function splitBullets(block) {
+  return String(block || "")
+    .split("\n")
+    .map((l) => l.trim())
+    .filter(Boolean);
+}
+
+export function normalizeSpaces(s) {
+  return String(s || "").replace(/\s+/g, " ").trim();
+}
+
+// Whole-word (Unicode-aware), case-insensitive matcher for a term or phrase
+export function termRegExp(term, flags = "iu") {
+  const escaped = String(term || "").trim().replace(/[.*+?^${}()|[\]\\]/g, "\\$&").replace(/\s+/g, "\\s+");
+  return new RegExp(`(?<![\\p{L}\\p{N}])${escaped}(?![\\p{L}\\p{N}])`, flags);
+}
+
+/* ---------------- STRUCTURED VARIANTS ---------------- */
+// One shape for both output modes:
+// { label, title, bullets: [..], description, backend_terms }
+
+export const VARIANT_LABELS = ["VARIANT A", "VARIANT B", "VARIANT C"];
+
+export function variantsFromText(text) {
+  return splitVariants(text).map((v) => {
+    const p = parseAD(v.text);
+    return {
+      label: v.label,
+      title: p.title,
+      bullets: splitBullets(p.bullets),
+      description: p.desc,
+      backend_terms: p.backend,
+    };
+  });
+}
+
+export function variantToText(v) {
+  return rebuildAD({
+    title: v.title,
+    bullets: (v.bullets || []).join("\n"),
+    desc: v.description,
+    backend: v.backend_terms,
+  });
+}
+
+// Single variant → plain A–D block (as before); several → each block under its VARIANT label
+export function variantsToText(variants) {
+  if (variants.length === 1 && !variants[0].label) return variantToText(variants[0]);
+  return variants
+    .map((v, i) => `${v.label || VARIANT_LABELS[i] || `VARIANT ${i + 1}`}\n${variantToText(v)}`)
+    .join("\n\n");
+}
+
+// JSON schema for OpenAI structured outputs (strict mode: every key required, no extras)
+export function listingJsonFormat() {
+  return {
+    type: "json_schema",
+    name: "amazon_listing",
+    strict: true,
+    schema: {
+      type: "object",
+      additionalProperties: false,
+      required: ["variants"],
+      properties: {
+        variants: {
+          type: "array",
+          items: {
+            type: "object",
+            additionalProperties: false,
+            required: ["label", "title", "bullets", "description", "backend_terms"],
+            properties: {
+              label: { type: "string" },
+              title: { type: "string" },
+              bullets: { type: "array", items: { type: "string" } },
+              description: { type: "string" },
+              backend_terms: { type: "string" },
+            },
+          },
+        },
+      },
+    },
+  };
+}
+
+// Parses a structured-output response; returns null if it isn't the expected shape.
+// Labels are assigned here (VARIANT A/B/C) instead of trusting the model.
+export function variantsFromJson(text) {
+  let obj;
+  try {
+    obj = JSON.parse(String(text || ""));
+  } catch {
+    return null;
+  }
+  return variantsFromObjects(obj?.variants);
+}
+
+// Normalizes variant objects (JSON mode, or sent back by the client); null if not a non-empty array
+export function variantsFromObjects(list) {
+  if (!Array.isArray(list) || !list.length) return null;
+
+  return list.map((v, i) => ({
+    label: VARIANT_LABELS[i] || `VARIANT ${i + 1}`,
+    title: String(v?.title || "").trim(),
+    bullets: (Array.isArray(v?.bullets) ? v.bullets : []).map((b) => String(b || "").trim()).filter(Boolean),
+    description: String(v?.description || "").trim(),
+    backend_terms: String(v?.backend_terms || "").trim(),
+  }));
+}
+
+// "A" / "VARIANT B" → that variant, "all" → every one, empty → the first
+export function pickVariants(list, requested) {
+  const r = String(requested || "").trim().toUpperCase();
+  if (!r) return [list[0]];
+  if (r === "ALL") return list;
+  const label = r.startsWith("VARIANT ") ? r : `VARIANT ${r}`;
+  return list.filter((v, i) => (v.label || `VARIANT ${String.fromCharCode(65 + i)}`).toUpperCase() === label);
+}
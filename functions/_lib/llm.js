@@ -0,0 +1,110 @@
+import { openai } from "./providers/openai.js";
+import { azure, openaiCompatible } from "./providers/chat.js";
+import { anthropic } from "./providers/anthropic.js";
+import { mock } from "./providers/mock.js";
+import { llmError } from "./providers/shared.js";
+
+// LLM provider layer. Every backend (providers/*.js) exposes
+//   { id, name, configured(env) → "" | missing-config message, model(env), call(env, req, http) }
+// and answers with the same shape, so generate/repair never see provider payloads:
+//   { text, usage: { input_tokens, output_tokens, total_tokens }, provider, model, raw }
+// Failures are thrown as llmError(): an Error with { provider, code, status }, code one of
+// timeout, cancelled, network, auth, rate_limited, bad_request, upstream, invalid_response.
+//
+// Provider: request `provider` → env LLM_PROVIDER → "openai".
+
+export const PROVIDERS = {
+  openai,
+  azure,
+  anthropic,
+  openai_compatible: openaiCompatible,
+  mock,
+};
+
+export const DEFAULT_PROVIDER = "openai";
+
+// Returns { ok: true, provider: { id, name, model } } or { ok: false, error, status }
+export function resolveProvider(env, requested) {
+  const id = String(requested || env?.LLM_PROVIDER || DEFAULT_PROVIDER).trim().toLowerCase();
+  const p = PROVIDERS[id];
+  if (!p) {
+    return { ok: false, status: 400, error: `Unknown provider, expected one of: ${Object.keys(PROVIDERS).join(", ")}` };
+  }
+  const missing = p.configured(env || {});
+  if (missing) return { ok: false, status: 500, error: `${missing} (provider ${id})` };
+  return { ok: true, provider: { id, name: p.name, model: p.model(env || {}) } };
+}
+
+// opts: { provider, max_output_tokens, temperature, timeoutMs, usage, format, onDelta, signal, purpose, images }
+//   format   – Responses-style text.format ({ type: "json_schema", name, schema, strict }) or empty for text
+//   onDelta  – streaming: called with text chunks as they arrive
+//   usage    – accumulator, `usage.tokens` grows by total_tokens
+//   purpose  – "listing" | "repair" | ... (the mock provider picks fixtures by it)
+//   images   – [{ url } | { data (base64), media_type }] sent after the input (vision-capable model needed)
+export async function callLLM(env, instructions, input, opts = {}) {
+  const resolved = resolveProvider(env, opts.provider);
+  if (!resolved.ok) throw llmError(String(opts.provider || ""), "bad_request", resolved.error, resolved.status);
+  const { id, model } = resolved.provider;
+
+  const req = {
+    instructions,
+    input,
+    model,
+    max_output_tokens: opts.max_output_tokens ?? 3200,
+    temperature: opts.temperature,
+    format: opts.format || null,
+    onDelta: opts.onDelta,
+    purpose: opts.purpose || "",
+    images: opts.images || [],
+  };
+  // timeout (to response headers) + cancel signal (also aborts streamed bodies);
+  // both surface as llmError codes instead of a bare AbortError
+  const controller = new AbortController();
+  let timedOut = false;
+  const timeout = setTimeout(() => {
+    timedOut = true;
+    controller.abort();
+  }, opts.timeoutMs || 60000);
+  if (opts.signal?.aborted) controller.abort();
+  // removed again below – a long-lived signal (stream, batch job) outlives many calls
+  const onAbort = () => controller.abort();
+  opts.signal?.addEventListener?.("abort", onAbort, { once: true });
+
+  const http = (url, init) =>
+    fetch(url, { ...init, signal: controller.signal }).finally(() => clearTimeout(timeout));
+
+  let out;
+  try {
+    out = await PROVIDERS[id].call(env, req, http);
+  } catch (e) {
+    if (opts.signal?.aborted) throw llmError(id, "cancelled", "Cancelled");
+    if (timedOut) throw llmError(id, "timeout", `Timeout while calling ${id}`);
+    if (e?.name === "LLMError") throw e;
+    throw llmError(id, "network", String(e?.message || e || "Network error"));
+  } finally {
+    clearTimeout(timeout);
+    opts.signal?.removeEventListener?.("abort", onAbort);
+  }
+
+  const usage = normalizeUsage(out.usage);
+  if (opts.usage) opts.usage.tokens += usage.total_tokens;
+  return { text: String(out.text || "").trim(), usage, provider: id, model, raw: out.raw };
+}
+
+/* ---------------- ERRORS ---------------- */
+
+// User-facing message for any error thrown by callLLM
+export function llmErrorMessage(e) {
+  if (e?.code === "timeout") return `Timeout while calling ${e.provider || "the model"}. Try again.`;
+  if (e?.code === "cancelled") return "Cancelled";
+  return String(e?.message || e || "Server error");
+}
+
+/* ---------------- USAGE ---------------- */
+
+function normalizeUsage(u) {
+  const input = Number(u?.input_tokens) || 0;
+  const output = Number(u?.output_tokens) || 0;
+  const total = Number(u?.total_tokens) || input + output;
+  return { input_tokens: input, output_tokens: output, total_tokens: total };
+}
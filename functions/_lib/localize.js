@@ -0,0 +1,215 @@
+import { callLLM, resolveProvider, llmErrorMessage } from "./llm.js";
+import { variantToText, variantsToText, variantsFromJson, listingJsonFormat, normalizeSpaces } from "./listing.js";
+import { MARKETPLACES, outputLanguage } from "./marketplaces.js";
+import { CATEGORY_TEMPLATES, isKnownCategory } from "./templates.js";
+import { sanitizeConstraints } from "./profiles.js";
+import { resolveListingRules, listingInstructions, jsonOutputSpec } from "./pipeline.js";
+import { repairListing, repairBudget, MAX_REPAIR_ATTEMPTS } from "./repair.js";
+import { isValidBrandId } from "./brands.js";
+
+// Multi-marketplace localization: one master variant → a listing per target marketplace.
+// All targets run in parallel; each one gets the target's own rules (profile, template,
+// compliance lexicon), a first pass that adapts the master, then the usual validate → repair.
+// Facts stay with the master: numbers found in it are checked in every locale (`facts`).
+
+// body: { master: { variant, marketplace }, targets, brand_name, brand?, usp?, category?, profile?,
+//         constraints?, repair_attempts?, provider? } – the master is already resolved (api/localize.js)
+// Returns { ok: true, req } or { ok: false, error, status }
+export function parseLocalizeRequest(env, body) {
+  const bad = (error, status = 400) => ({ ok: false, error, status });
+
+  const llm = resolveProvider(env, body.provider);
+  if (!llm.ok) return bad(llm.error, llm.status);
+
+  const master = body.master?.variant;
+  if (!master?.title && !master?.bullets?.length) return bad("Master listing is empty");
+
+  const source = String(body.master?.marketplace || "").trim();
+  if (!MARKETPLACES[source]) return bad(`Unknown master marketplace, expected one of: ${Object.keys(MARKETPLACES).join(", ")}`);
+
+  const raw = Array.isArray(body.targets) ? body.targets : String(body.targets || "").split(",");
+  const targets = [...new Set(raw.map((t) => String(t || "").trim().toLowerCase()).filter(Boolean))];
+  if (!targets.length) return bad("Missing targets (marketplaces to localize into)");
+  const unknown = targets.filter((t) => !MARKETPLACES[t]);
+  if (unknown.length) return bad(`Unknown marketplace(s): ${unknown.join(", ")}`);
+
+  const categoryRaw = String(body.category || "auto").trim().toLowerCase();
+  if (categoryRaw !== "auto" && !isKnownCategory(categoryRaw)) {
+    return bad(`Unknown category, expected auto or one of: ${Object.keys(CATEGORY_TEMPLATES).join(", ")}`);
+  }
+
+  if (body.constraints != null) {
+    const checked = sanitizeConstraints(body.constraints, { partial: true });
+    if (!checked.ok) return bad(checked.error);
+  }
+
+  if (body.repair_attempts != null) {
+    const n = Number(body.repair_attempts);
+    if (!Number.isInteger(n) || n < 0 || n > MAX_REPAIR_ATTEMPTS) {
+      return bad(`repair_attempts must be an integer 0–${MAX_REPAIR_ATTEMPTS}`);
+    }
+  }
+
+  const brandName = String(body.brand_name || "").trim();
+  if (!brandName) return bad("Missing brand_name");
+
+  // brand profile: its glossary and banned words for each target language (brands.js)
+  const brand = body.brand ? String(body.brand).trim().toLowerCase() : null;
+  if (brand && !isValidBrandId(brand)) return bad("Invalid brand id");
+
+  return {
+    ok: true,
+    req: {
+      provider: llm.provider,
+      master,
+      source,
+      // the master's own marketplace is not localized again
+      targets: targets.filter((t) => t !== source),
+      brandName,
+      brand,
+      usp: String(body.usp || "").trim(),
+      categoryRaw,
+      profile: body.profile,
+      constraints: body.constraints,
+      repairAttempts: repairBudget(body.repair_attempts, env),
+    },
+  };
+}
+
+// emit("locale", { marketplace, stage }) – progress. Returns { status, body }:
+// body.locales = [{ marketplace, language, ok, output, variants, facts, category, profile,
+//                   validation, compliance, repair } | { marketplace, error }]
+export async function runLocalization(env, req, { emit = () => {}, signal, usage = { tokens: 0 } } = {}) {
+  const locales = await Promise.all(
+    req.targets.map(async (marketplace) => {
+      try {
+        return await localizeOne(env, req, marketplace, { emit, signal, usage });
+      } catch (e) {
+        const error = signal?.aborted ? "Cancelled" : llmErrorMessage(e);
+        return { marketplace, error, ...(e?.code ? { code: e.code } : {}) };
+      }
+    })
+  );
+  const failed = locales.filter((l) => l.error);
+  const status = failed.length === locales.length && locales.length ? 500 : 200;
+  return {
+    status,
+    body: {
+      source: req.source,
+      provider: { id: req.provider.id, model: req.provider.model },
+      locales,
+      ...(status !== 200 ? { error: failed[0].error } : {}),
+    },
+  };
+}
+
+async function localizeOne(env, req, marketplace, { emit, signal, usage }) {
+  const { master, source, brandName, usp, provider } = req;
+  const rules = await resolveListingRules(env, {
+    marketplace,
+    categoryRaw: req.categoryRaw,
+    productText: variantToText(master),
+    profile: req.profile,
+    constraints: req.constraints,
+    brandName,
+    brand: req.brand,
+  });
+  if (!rules.ok) return { marketplace, error: rules.error };
+  const { category, profile, cfg, check } = rules;
+
+  const baseInstructions = `${listingInstructions(rules, marketplace)}
+
+${localizationRules(master, source, marketplace, cfg.BULLET_COUNT)}`;
+
+  const context = `Brand name: ${brandName}
+${usp ? `USPs: ${usp}` : ""}
+Master marketplace: ${source} (${outputLanguage(source)})
+Target marketplace: ${marketplace} (${outputLanguage(marketplace)})
+
+MASTER LISTING:
+${variantToText(master)}`;
+
+  const instructions = `${baseInstructions}
+
+${jsonOutputSpec(cfg.BULLET_COUNT)}`;
+
+  emit("locale", { marketplace, stage: "first_pass" });
+  const first = await callLLM(env, instructions, `${context}\n\nReturn exactly 1 item in "variants".`, {
+    provider: provider.id,
+    purpose: "localize",
+    max_output_tokens: 3200,
+    temperature: 0.5,
+    timeoutMs: 60000,
+    usage,
+    format: listingJsonFormat(),
+    signal,
+  });
+
+  const list = variantsFromJson(first.text)?.slice(0, 1);
+  if (!list?.length) return { marketplace, error: `Invalid JSON output from ${provider.name}` };
+  list[0].label = "";
+
+  emit("locale", { marketplace, stage: "validating" });
+  const repair = await repairListing(env, {
+    list,
+    check,
+    baseInstructions,
+    context,
+    cfg,
+    maxAttempts: req.repairAttempts,
+    usage,
+    onAttempt: (a) => emit("locale", { marketplace, stage: "repairing", attempt: a.attempt }),
+    signal,
+    provider: provider.id,
+  });
+
+  const facts = checkFacts(master, list[0]);
+  emit("locale", { marketplace, stage: "done" });
+  return {
+    marketplace,
+    language: outputLanguage(marketplace),
+    ok: repair.result.ok && facts.ok,
+    output: variantsToText(list),
+    variants: list,
+    facts,
+    category,
+    profile,
+    validation: repair.result.validation,
+    compliance: repair.result.compliance,
+    repair: repair.summary,
+  };
+}
+
+function localizationRules(master, source, marketplace, bulletCount) {
+  const masterCount = master.bullets.length;
+  const countLine =
+    masterCount === bulletCount
+      ? `- Keep the bullet order: bullet N covers the same point as master bullet N.`
+      : masterCount > bulletCount
+        ? `- Keep the bullet order. The master has ${masterCount} bullets, you need ${bulletCount}: merge neighbouring master bullets, never drop a fact.`
+        : `- Keep the bullet order. The master has ${masterCount} bullets, you need ${bulletCount}: split the richest master bullets, do not invent new points.`;
+
+  return `LOCALIZATION (master listing from ${source} → ${marketplace}):
+- Localize the MASTER LISTING below; do not write a new listing.
+- Keep every fact of the master: numbers, units, sizes, quantities, materials, certifications and USPs. Do not add claims, features or numbers that are not in the master.
+${countLine}
+- Write natural ${outputLanguage(marketplace)} the way a native copywriter for ${marketplace} would – no literal, word-for-word translation.
+- Keywords (title and backend search terms): use the words shoppers on ${marketplace} actually search for – local product names, common synonyms and spellings – not translations of the master's keywords.
+- Build the backend search terms fresh for ${marketplace}.`;
+}
+
+// Numbers of the master (title, bullets, description) that are missing in the locale.
+// Decimal commas and thousands separators are normalized ("1.5" = "1,5", "1000" = "1 000").
+export function checkFacts(master, localized) {
+  const numbers = (v) => {
+    const text = normalizeSpaces([v.title, ...(v.bullets || []), v.description].join(" "));
+    const out = new Set();
+    for (const m of text.matchAll(/\d+(?:[ .,]\d{3})*(?:[.,]\d+)?/g)) {
+      out.add(m[0].replace(/[ .,](?=\d{3}\b)/g, "").replace(",", "."));
+    }
+    return out;
+  };
+  const have = numbers(localized);
+  const missing = [...numbers(master)].filter((n) => !have.has(n));
+  return { ok: missing.length === 0, missing };
+}
@@ -0,0 +1,19 @@
+// Supported marketplaces → output language (for the prompt) and language code (lexicons etc.)
+export const MARKETPLACES = {
+  "amazon.de": { language: "German (DE)", lang: "de" },
+  "amazon.fr": { language: "French (FR)", lang: "fr" },
+  "amazon.it": { language: "Italian (IT)", lang: "it" },
+  "amazon.es": { language: "Spanish (ES)", lang: "es" },
+  "amazon.nl": { language: "Dutch (NL)", lang: "nl" },
+  "amazon.pl": { language: "Polish (PL)", lang: "pl" },
+  "amazon.se": { language: "Swedish (SE)", lang: "sv" },
+  "amazon.co.uk": { language: "English (UK)", lang: "en" },
+};
+
+export function outputLanguage(marketplace) {
+  return MARKETPLACES[marketplace]?.language || "English";
+}
+
+export function languageCode(marketplace) {
+  return MARKETPLACES[marketplace]?.lang || "en";
+}
@@ -0,0 +1,407 @@
+import { callLLM, resolveProvider, llmErrorMessage } from "./llm.js";
+import { variantsFromJson, variantsFromText, variantsToText, listingJsonFormat } from "./listing.js";
+import { validateVariants } from "./validate.js";
+import { loadRules, scanVariants, complianceErrors } from "./compliance.js";
+import {
+  CATEGORY_TEMPLATES,
+  isKnownCategory,
+  getTemplate,
+  resolveCategory,
+  titleRulesText,
+  bulletStyleText,
+  forbiddenTermsText,
+} from "./templates.js";
+import { outputLanguage, languageCode } from "./marketplaces.js";
+import { resolveProfile, profileToCfg, sanitizeConstraints } from "./profiles.js";
+import { repairListing, repairBudget, MAX_REPAIR_ATTEMPTS } from "./repair.js";
+import { looksLikeUrl, buildProductContextText } from "./scrape.js";
+import { scrapeProduct, sanitizeFacts, factsToText } from "./facts.js";
+import { parseKeywordCsv, sanitizeKeywords, keywordPromptText, keywordCoverage } from "./keywords.js";
+import { parseCompetitors, loadCompetitors, keywordPatterns, analyzeCompetitors, competitorGuidanceText } from "./competitors.js";
+import { sanitizeImageFacts, imageFactsText } from "./vision.js";
+import { isValidBrandId, getBrand, brandRules, brandRulesText } from "./brands.js";
+import { scoreVariants } from "./scoring.js";
+
+// Listing generation pipeline: scrape → competitors → prompt → first pass → validate → repair.
+// Shared by /api/generate (one request, optionally streamed) and the batch jobs (batch.js).
+//
+//   const parsed = parseGenerateRequest(env, body);   // checks the body, no I/O
+//   const { status, body } = await runGeneration(env, parsed.req, { emit, signal, usage });
+//
+// Limits and usage recording stay with the caller.
+
+// Returns { ok: true, req } or { ok: false, error, status }
+export function parseGenerateRequest(env, body) {
+  const bad = (error, status = 400) => ({ ok: false, error, status });
+
+  // LLM backend: body.provider, else LLM_PROVIDER, else openai (see llm.js)
+  const llm = resolveProvider(env, body.provider);
+  if (!llm.ok) return bad(llm.error, llm.status);
+
+  const variantsRaw = Number(body.variants || 1);
+
+  // "text" (default) = A–D plain text in `output`; "json" = structured `variants` via JSON schema
+  const format = String(body.format || "text").trim().toLowerCase();
+  if (format !== "text" && format !== "json") return bad("Invalid format, expected \"text\" or \"json\"");
+
+  // category id or "auto" (default) → detected from scraped JSON-LD / product text
+  const categoryRaw = String(body.category || "auto").trim().toLowerCase();
+  if (categoryRaw !== "auto" && !isKnownCategory(categoryRaw)) {
+    return bad(`Unknown category, expected auto or one of: ${Object.keys(CATEGORY_TEMPLATES).join(", ")}`);
+  }
+
+  // optional per-request overrides on top of the profile, e.g. { bullet_count: 5 }
+  if (body.constraints != null) {
+    const checked = sanitizeConstraints(body.constraints, { partial: true });
+    if (!checked.ok) return bad(checked.error);
+  }
+
+  // repair loop budget: body.repair_attempts, else REPAIR_MAX_ATTEMPTS, else 2
+  if (body.repair_attempts != null) {
+    const n = Number(body.repair_attempts);
+    if (!Number.isInteger(n) || n < 0 || n > MAX_REPAIR_ATTEMPTS) {
+      return bad(`repair_attempts must be an integer 0–${MAX_REPAIR_ATTEMPTS}`);
+    }
+  }
+
+  // keyword research: `keywords` ([{ keyword, volume?, priority? }]) or `keywords_csv` (see keywords.js)
+  let keywords = null;
+  if (body.keywords != null || body.keywords_csv != null) {
+    const kw = body.keywords != null ? sanitizeKeywords(body.keywords) : parseKeywordCsv(String(body.keywords_csv));
+    if (!kw.ok) return bad(kw.error);
+    keywords = kw.keywords;
+  }
+
+  // reviewed product facts from /api/scrape – used instead of scraping `user_prompt` (see facts.js)
+  let facts = null;
+  if (body.facts != null) {
+    const f = sanitizeFacts(body.facts);
+    if (!f.ok) return bad(f.error);
+    facts = f.facts;
+  }
+
+  // confirmed facts from product/packaging images (/api/vision) – added to the product info
+  let imageFacts = null;
+  if (body.image_facts != null) {
+    const f = sanitizeImageFacts(body.image_facts);
+    if (!f.ok) return bad(f.error);
+    imageFacts = f.facts;
+  }
+
+  // brand profile (brands.js): its defaults are already in the body (applyBrandDefaults),
+  // its banned words and glossary are enforced by the validator
+  const brand = body.brand ? String(body.brand).trim().toLowerCase() : null;
+  if (brand && !isValidBrandId(brand)) return bad("Invalid brand id");
+
+  // competitor mode: `competitors` – URLs or saved HTML pages (see competitors.js)
+  let competitors = null;
+  if (body.competitors != null) {
+    const c = parseCompetitors(body.competitors);
+    if (!c.ok) return bad(c.error);
+    competitors = c.items.length ? c.items : null;
+  }
+
+  const req = {
+    provider: llm.provider,
+    marketplace: String(body.marketplace || "").trim(),
+    brandVoice: String(body.brand_voice || "").trim(),
+    brandName: String(body.brand_name || "").trim(),
+    usp: String(body.usp || "").trim(),
+    userPromptRaw: String(body.user_prompt || "").trim(),
+    variants: variantsRaw === 3 ? 3 : 1,
+    jsonMode: format === "json",
+    categoryRaw,
+    profile: body.profile,
+    constraints: body.constraints,
+    repairAttempts: repairBudget(body.repair_attempts, env),
+    keywords,
+    competitors,
+    facts,
+    imageFacts,
+    brand,
+  };
+
+  if (!req.marketplace) return bad("Missing marketplace");
+  if (!req.brandName) return bad("Missing brand_name");
+  if (!req.userPromptRaw && !facts && !imageFacts) return bad("Missing user_prompt");
+
+  return { ok: true, req };
+}
+
+// emit(event, data) – progress for streaming (stage/delta); no-op by default.
+// `streaming` also streams the first pass (delta events). `usage.tokens` grows with every call.
+// Returns { status, body } – body is the /api/generate JSON response; on success also
+// `list` (the parsed variants), `context` (scraped page data / facts / competitor analysis or null) and `keywords`.
+export async function runGeneration(env, req, { emit = () => {}, signal, usage = { tokens: 0 }, streaming = false } = {}) {
+  const { provider, marketplace, brandVoice, brandName, usp, userPromptRaw, variants, jsonMode } = req;
+
+  const { userPrompt, scraped, facts, scrape } = await loadProductInfo(env, req, emit);
+
+  const rules = await resolveListingRules(env, {
+    marketplace,
+    categoryRaw: req.categoryRaw,
+    jsonldCategory: facts?.category,
+    productText: userPrompt,
+    profile: req.profile,
+    constraints: req.constraints,
+    brandName,
+    brand: req.brand,
+  });
+  if (!rules.ok) return { status: 400, body: { error: rules.error } };
+  const { category, profile, cfg, check } = rules;
+  const { BULLET_COUNT } = cfg;
+  const baseInstructions = listingInstructions(rules, marketplace);
+
+  const instructions = `${baseInstructions}
+
+${jsonMode ? jsonOutputSpec(BULLET_COUNT) : TEXT_OUTPUT_SPEC}`;
+
+  // competitor mode – a failed analysis is reported in `competitors`, the listing is still generated
+  let competitors = null;
+  if (req.competitors) {
+    emit("stage", { stage: "competitors", count: req.competitors.length });
+    const pages = await loadCompetitors(env, req.competitors);
+    competitors = { pages, patterns: keywordPatterns(pages), analysis: null };
+    if (!pages.some((p) => p.ok)) {
+      competitors.error = "No competitor page could be read";
+    } else {
+      try {
+        competitors.analysis = await analyzeCompetitors(
+          env,
+          { pages, patterns: competitors.patterns, marketplace, brandName, usp, productText: userPrompt },
+          { provider: provider.id, usage, signal }
+        );
+      } catch (e) {
+        if (signal?.aborted) return { status: 500, body: { error: "Cancelled" } };
+        competitors.error = llmErrorMessage(e);
+      }
+    }
+  }
+
+  const uspLine = usp ? `USPs: ${usp}` : "";
+  const brandVoiceLine = brandVoice ? `Brand voice: ${brandVoice}` : "";
+
+  // product context – shared by the first pass and the repair calls
+  const productInput = `Brand name: ${brandName}
+${uspLine}
+Marketplace: ${marketplace}
+${brandVoiceLine}
+
+User product info:
+${userPrompt}${req.keywords ? `
+
+${keywordPromptText(req.keywords)}` : ""}${competitors?.analysis ? `
+
+${competitorGuidanceText(competitors.analysis)}` : ""}`;
+
+  const input = `${productInput}
+
+Generate ${variants === 3 ? "THREE distinct variants (A/B/C)" : "ONE version"}.
+${jsonMode ? `Return exactly ${variants} item(s) in "variants".` : `Each variant must fully include A–D.
+If 3 variants, clearly label them exactly as:
+VARIANT A
+VARIANT B
+VARIANT C`}`;
+
+  const meta = { category, profile, provider: { id: provider.id, model: provider.model } };
+  if (rules.brand) meta.brand = rules.brand;
+  // scraped identifiers, for the flat-file export (/api/export)
+  if (req.facts || scraped?.product_jsonld || scraped?.amazon) {
+    const { sku, gtin, mpn, brand, name, asin } = facts;
+    meta.product = { sku, gtin, mpn, brand, name, asin };
+  }
+  if (scrape) meta.scrape = scrape;
+  if (competitors) meta.competitors = competitors;
+
+  try {
+    // 1) First pass (streamed to the client as it arrives)
+    emit("stage", { stage: "first_pass", variants });
+    const first = await callLLM(env, instructions, input, {
+      provider: provider.id,
+      purpose: "listing",
+      max_output_tokens: variants === 3 ? 7500 : 3200,
+      temperature: 0.7,
+      timeoutMs: 60000,
+      usage,
+      format: jsonMode ? listingJsonFormat() : undefined,
+      onDelta: streaming ? (text) => emit("delta", { text }) : undefined,
+      signal,
+    });
+
+    const raw = first.text;
+    if (!raw) return { status: 500, body: { error: `Empty output from ${provider.name}`, debug: first.raw } };
+
+    const list = jsonMode ? variantsFromJson(raw) : variantsFromText(raw);
+    if (!list) return { status: 500, body: { error: `Invalid JSON output from ${provider.name}`, debug: first.raw } };
+
+    // 2) Validate + repair only the failing fields, per variant (see repair.js)
+    emit("stage", { stage: "validating" });
+    const repair = await repairListing(env, {
+      list,
+      check,
+      baseInstructions,
+      context: productInput,
+      cfg,
+      maxAttempts: req.repairAttempts,
+      usage,
+      onAttempt: (a) => emit("stage", { stage: "repairing", ...a }),
+      signal,
+      provider: provider.id,
+    });
+
+    // untouched plain-text output goes back exactly as the model wrote it
+    const output = jsonMode || repair.changed ? variantsToText(list) : raw;
+    const reports = { validation: repair.result.validation, compliance: repair.result.compliance };
+    if (req.keywords) reports.keywords = keywordCoverage(list, req.keywords);
+    // several variants: which one to use (scoring.js)
+    if (list.length > 1) reports.scores = scoreVariants(list, { ...reports, marketplace });
+
+    // what the model was given from the product page – kept with the history (history.js)
+    const context =
+      scraped || req.facts || req.imageFacts || competitors
+        ? {
+            ...(scraped
+              ? { source_url: scraped.source_url, page_title: scraped.page_title, product: scraped.product_jsonld, text: userPrompt }
+              : {}),
+            ...(req.facts ? { source_url: req.facts.source_url, facts: req.facts, text: userPrompt } : {}),
+            ...(req.imageFacts ? { image_facts: req.imageFacts, text: userPrompt } : {}),
+            ...(competitors ? { competitors } : {}),
+          }
+        : null;
+
+    if (jsonMode) {
+      const body = { format: "json", ...meta, variants: list, output, ...reports, repair: repair.summary };
+      return { status: 200, body, list, context, keywords: req.keywords };
+    }
+    return { status: 200, body: { output, ...meta, ...reports, repair: repair.summary }, list, context, keywords: req.keywords };
+  } catch (e) {
+    const msg = signal?.aborted ? "Cancelled" : llmErrorMessage(e);
+    return { status: 500, body: { error: msg, ...(e?.code ? { code: e.code, provider: e.provider } : {}) } };
+  }
+}
+
+// Product info for the prompt: the reviewed `facts`, else the scraped page when `user_prompt`
+// is a URL, else the text itself – plus the confirmed image facts. Shared with the A+ generator (aplus.js).
+// Returns { userPrompt, scraped (page context or null), facts (or null), scrape (response info or null) }
+export async function loadProductInfo(env, req, emit = () => {}) {
+  const info = await pageOrPromptInfo(env, req, emit);
+  if (req.imageFacts) info.userPrompt = [info.userPrompt, imageFactsText(req.imageFacts)].filter(Boolean).join("\n\n");
+  return info;
+}
+
+async function pageOrPromptInfo(env, { userPromptRaw, facts }, emit) {
+  if (facts) return { userPrompt: factsToText(facts), scraped: null, facts, scrape: null };
+  if (!looksLikeUrl(userPromptRaw)) return { userPrompt: userPromptRaw, scraped: null, facts: null, scrape: null };
+
+  // ✅ NEW: ако user_prompt е URL -> fetch + extract
+  emit("stage", { stage: "scraping", url: userPromptRaw });
+  const s = await scrapeProduct(env, userPromptRaw, { timeoutMs: 15000 });
+  const scrape = { url: s.url, ok: s.ok, cached: !!s.cached, warnings: s.warnings, ...(s.ok ? {} : { error: s.error }) };
+  // ако scrape падне, продължаваме само с линка (`scrape.error` казва защо)
+  if (!s.ok) return { userPrompt: userPromptRaw, scraped: null, facts: null, scrape };
+  // вместо да подаваме само линк, подаваме извлечена информация
+  return { userPrompt: buildProductContextText(s.ctx) || userPromptRaw, scraped: s.ctx, facts: s.facts, scrape };
+}
+
+// Category, template, constraint profile and the validator for one listing context.
+// `check(list)` runs the validator and the compliance scanner on the same parsed variants;
+// errors and blocking compliance findings are what the repair pipeline fixes.
+// `brand` is a brand profile id – a profile deleted since is ignored (old listings stay editable).
+// Returns { ok: true, category, template, profile, brand, cfg, titleLength, check } or { ok: false, error }.
+export async function resolveListingRules(
+  env,
+  { marketplace, categoryRaw = "auto", jsonldCategory, productText, profile: requested, constraints, brandName, brand: brandId }
+) {
+  const category = resolveCategory(categoryRaw, { jsonldCategory, productText });
+  const template = getTemplate(category.id);
+
+  // ✅ Булети + описание с твърди изисквания – от constraint профила (виж profiles.js)
+  const resolved = await resolveProfile(env, {
+    requested,
+    marketplace,
+    category: category.id,
+    overrides: constraints,
+  });
+  if (!resolved.ok) return { ok: false, error: resolved.error };
+  const profile = resolved.profile;
+  const titleLength = titleLengthFor(profile.constraints, template);
+  const brand = brandId ? await getBrand(env, brandId) : null;
+  const words = brandRules(brand, marketplace);
+
+  const cfg = {
+    ...profileToCfg(profile.constraints),
+    TITLE_MIN: titleLength[0],
+    TITLE_MAX: titleLength[1],
+    BRAND_NAME: brandName,
+    FORBIDDEN_TERMS: template.forbidden_terms,
+    BANNED_TERMS: words.banned,
+    GLOSSARY: words.glossary,
+  };
+
+  const rules = await loadRules(env, { lang: languageCode(marketplace), category: category.id });
+  const check = (list) => {
+    const v = validateVariants(list, cfg);
+    const compliance = scanVariants(list, rules);
+    const errors = [...v.errors, ...complianceErrors(compliance)];
+    return { ok: errors.length === 0, errors, validation: v.report, compliance };
+  };
+
+  return { ok: true, category, template, profile, brand: brand ? { id: brand.id, name: brand.name } : null, cfg, titleLength, check };
+}
+
+// Role, language and the hard requirements for one marketplace (rules from resolveListingRules);
+// shared by the first pass, the repair calls and localization (localize.js)
+export function listingInstructions({ template, cfg, titleLength }, marketplace) {
+  const outLang = outputLanguage(marketplace);
+  const forbiddenLine = forbiddenTermsText(template);
+  const brandLines = brandRulesText({ banned: cfg.BANNED_TERMS || [], glossary: cfg.GLOSSARY || [] });
+  const { BULLET_COUNT, BULLET_MIN, BULLET_MAX, DESC_MIN, DESC_MAX, BACKEND_MAX_BYTES } = cfg;
+
+  return `You are an Amazon Marketplace Listing Expert.
+
+OUTPUT LANGUAGE: ${outLang}
+
+HARD REQUIREMENTS (must be satisfied):
+- Bullet points: EXACTLY ${BULLET_COUNT} bullets.
+- Each bullet MUST be ${BULLET_MIN}–${BULLET_MAX} characters (including spaces).
+${bulletStyleText(template)}
+- Description: MUST be ${DESC_MIN}–${DESC_MAX} characters total (including spaces).
+- Description must be detailed, multi-paragraph, conversion-oriented, readable.
+- No medical claims, no guarantees, comply with Amazon policies.
+${forbiddenLine ? `${forbiddenLine}
+` : ""}${brandLines ? `${brandLines}
+` : ""}
+PRODUCT CATEGORY: ${template.name}
+
+${titleRulesText(template, titleLength)}
+
+BACKEND SEARCH TERMS:
+- At most ${BACKEND_MAX_BYTES} BYTES in UTF-8 (umlauts, accents and Polish letters count as 2 bytes)
+- No duplicates, and do not repeat words already in the title
+- No brand name
+- Space-separated only (no commas)`;
+}
+
+function titleLengthFor(c, template) {
+  const [tMin, tMax] = template.title_length;
+  const max = c.title_max ?? tMax;
+  return [c.title_min ?? Math.min(tMin, max), max];
+}
+
+const TEXT_OUTPUT_SPEC = `OUTPUT STRUCTURE (for each variant):
+A) TITLE:
+B) BULLET POINTS:
+C) DESCRIPTION:
+D) BACKEND SEARCH TERMS:
+
+Return ONLY these sections (A–D), plain text.`;
+
+export function jsonOutputSpec(bulletCount) {
+  return `OUTPUT STRUCTURE:
+Return ONLY a JSON object matching the provided schema. For each variant:
+- label: "VARIANT A", "VARIANT B", ...
+- title: the title
+- bullets: array of exactly ${bulletCount} strings, one bullet each (no numbering, no leading dashes)
+- description: plain text, paragraphs separated by blank lines
+- backend_terms: the backend search terms`;
+}
@@ -0,0 +1,193 @@
+import { getStore } from "./store.js";
+
+// Constraint profiles: the numbers that drive both the prompt and the validator.
+// Built-ins live here; admins can add or override profiles at runtime (/api/profiles),
+// stored under `profile:<name>`.
+//
+// applies_to: { marketplaces: [...], categories: [...] } – used when no profile is requested.
+// An empty/missing list matches anything; the most specific match wins.
+
+const PROFILE_PREFIX = "profile:";
+
+export const DEFAULT_PROFILE = "default";
+
+export const CONSTRAINT_FIELDS = {
+  bullet_count: [1, 10],
+  bullet_min: [0, 1000],
+  bullet_max: [1, 1000],
+  desc_min: [0, 10000],
+  desc_max: [1, 10000],
+  // optional: null = use the category template's title length
+  title_min: [0, 500],
+  title_max: [1, 500],
+  // optional: null = 249 (Amazon's limit)
+  backend_max_bytes: [1, 1000],
+};
+
+const OPTIONAL_FIELDS = new Set(["title_min", "title_max", "backend_max_bytes"]);
+export const DEFAULT_BACKEND_MAX_BYTES = 249;
+
+export const BUILTIN_PROFILES = {
+  default: {
+    description: "7 long bullets, long description",
+    constraints: { bullet_count: 7, bullet_min: 220, bullet_max: 240, desc_min: 3000, desc_max: 4000 },
+    applies_to: {},
+  },
+  five_bullets: {
+    description: "5 bullets – categories that only show five",
+    constraints: { bullet_count: 5, bullet_min: 200, bullet_max: 250, desc_min: 2000, desc_max: 3000 },
+    applies_to: {},
+  },
+  short_description: {
+    description: "7 bullets, short description",
+    constraints: { bullet_count: 7, bullet_min: 220, bullet_max: 240, desc_min: 1000, desc_max: 2000 },
+    applies_to: {},
+  },
+  apparel: {
+    description: "Apparel: 5 short bullets, short description",
+    constraints: { bullet_count: 5, bullet_min: 120, bullet_max: 200, desc_min: 1000, desc_max: 2000 },
+    applies_to: { categories: ["apparel"] },
+  },
+};
+
+/* ---------------- LOOKUP ---------------- */
+
+export function isValidProfileName(name) {
+  return /^[a-z0-9][a-z0-9_-]{1,47}$/.test(String(name || ""));
+}
+
+// Built-ins merged with stored profiles (stored ones win on name clash)
+export async function listProfiles(env) {
+  const store = getStore(env);
+  // no prototype – names like "constructor" or "__proto__" must not resolve
+  const out = Object.create(null);
+  for (const [name, p] of Object.entries(BUILTIN_PROFILES)) out[name] = { ...p, name, builtin: true };
+
+  for (const key of await store.list(PROFILE_PREFIX)) {
+    const p = await store.getJson(key);
+    if (p?.name) out[p.name] = { ...p, builtin: false };
+  }
+  return out;
+}
+
+export async function saveProfile(env, profile) {
+  profile.updated_at = new Date().toISOString();
+  await getStore(env).putJson(PROFILE_PREFIX + profile.name, profile);
+  return profile;
+}
+
+export async function deleteProfile(env, name) {
+  await getStore(env).delete(PROFILE_PREFIX + name);
+}
+
+// Resolves the effective constraints for a request.
+// Returns { ok: true, profile: { name, source, constraints } } or { ok: false, error }.
+//   requested  – profile name, or ""/"auto" to match by marketplace + category
+//   overrides  – partial constraints from the request, applied on top
+export async function resolveProfile(env, { requested, marketplace, category, overrides }) {
+  const profiles = await listProfiles(env);
+  const name = String(requested || "").trim().toLowerCase();
+
+  let picked;
+  let source;
+  if (name && name !== "auto") {
+    picked = Object.hasOwn(profiles, name) ? profiles[name] : null;
+    if (!picked) return { ok: false, error: `Unknown profile: ${name}` };
+    source = "request";
+  } else {
+    picked = matchProfile(Object.values(profiles), marketplace, category);
+    source = picked ? "auto" : "default";
+    picked = picked || profiles[DEFAULT_PROFILE];
+  }
+
+  const base = { ...BUILTIN_PROFILES[DEFAULT_PROFILE].constraints, ...picked.constraints };
+
+  let constraints = base;
+  if (overrides != null) {
+    const checked = sanitizeConstraints(overrides, { partial: true });
+    if (!checked.ok) return { ok: false, error: checked.error };
+    constraints = { ...base, ...checked.constraints };
+    if (Object.keys(checked.constraints).length) source += "+overrides";
+  }
+
+  const range = checkRanges(constraints);
+  if (range) return { ok: false, error: range };
+
+  return { ok: true, profile: { name: picked.name, source, constraints } };
+}
+
+function matchProfile(profiles, marketplace, category) {
+  let best = null;
+  let bestScore = 0;
+  for (const p of profiles) {
+    const m = p.applies_to?.marketplaces || [];
+    const c = p.applies_to?.categories || [];
+    if (!m.length && !c.length) continue;
+    if (m.length && !m.includes(marketplace)) continue;
+    if (c.length && !c.includes(category)) continue;
+    const score = (m.length ? 1 : 0) + (c.length ? 1 : 0);
+    if (score > bestScore) {
+      best = p;
+      bestScore = score;
+    }
+  }
+  return best;
+}
+
+/* ---------------- VALIDATION ---------------- */
+
+// partial: only check the keys that are present (request overrides)
+export function sanitizeConstraints(raw, { partial = false } = {}) {
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) {
+    return { ok: false, error: "constraints must be an object" };
+  }
+
+  const out = {};
+  for (const [key, [min, max]] of Object.entries(CONSTRAINT_FIELDS)) {
+    const v = raw[key];
+    if (v == null || v === "") {
+      if (!partial && !OPTIONAL_FIELDS.has(key)) return { ok: false, error: `Missing constraints.${key}` };
+      continue;
+    }
+    const n = Number(v);
+    if (!Number.isInteger(n) || n < min || n > max) {
+      return { ok: false, error: `constraints.${key} must be an integer ${min}–${max}` };
+    }
+    out[key] = n;
+  }
+
+  for (const key of Object.keys(raw)) {
+    if (!(key in CONSTRAINT_FIELDS)) return { ok: false, error: `Unknown constraint: ${key}` };
+  }
+
+  if (!partial) {
+    const range = checkRanges(out);
+    if (range) return { ok: false, error: range };
+  }
+  return { ok: true, constraints: out };
+}
+
+function checkRanges(c) {
+  if (c.bullet_min > c.bullet_max) return "bullet_min must be <= bullet_max";
+  if (c.desc_min > c.desc_max) return "desc_min must be <= desc_max";
+  if (c.title_min != null && c.title_max != null && c.title_min > c.title_max) return "title_min must be <= title_max";
+  return "";
+}
+
+export function sanitizeAppliesTo(raw) {
+  const list = (x) =>
+    Array.isArray(x) ? x.map((s) => String(s || "").trim().toLowerCase()).filter(Boolean) : [];
+  return { marketplaces: list(raw?.marketplaces), categories: list(raw?.categories) };
+}
+
+// Validator config (validate.js) from a resolved profile
+export function profileToCfg(constraints) {
+  return {
+    BULLET_COUNT: constraints.bullet_count,
+    BULLET_MIN: constraints.bullet_min,
+    BULLET_MAX: constraints.bullet_max,
+    DESC_MIN: constraints.desc_min,
+    DESC_MAX: constraints.desc_max,
+    BACKEND_MAX_BYTES: constraints.backend_max_bytes ?? DEFAULT_BACKEND_MAX_BYTES,
+  };
+}
@@ -0,0 +1,82 @@
+import { readEventStream } from "../sse.js";
+import { llmError, errorFromStatus, errorBody, schemaInstructions, stripCodeFences } from "./shared.js";
+
+/* ---------------- Anthropic Messages API ---------------- */
+// No JSON-schema response format here: the schema goes into the system prompt and the
+// answer is parsed (and validated) like any other JSON output.
+export const anthropic = {
+  name: "Anthropic",
+  configured: (env) => (env.ANTHROPIC_API_KEY ? "" : "ANTHROPIC_API_KEY missing in runtime env"),
+  model: (env) => env.ANTHROPIC_MODEL || "claude-sonnet-4-5",
+
+  async call(env, req, http) {
+    const json = req.format?.type === "json_schema";
+
+    const payload = {
+      model: req.model,
+      system: json ? `${req.instructions}\n\n${schemaInstructions(req.format)}` : req.instructions,
+      messages: [{ role: "user", content: req.images.length ? [...req.images.map(imageBlock), { type: "text", text: req.input }] : req.input }],
+      max_tokens: req.max_output_tokens,
+    };
+    if (typeof req.temperature === "number") payload.temperature = Math.min(1, req.temperature);
+    if (req.onDelta) payload.stream = true;
+
+    const resp = await http(`${String(env.ANTHROPIC_BASE_URL || "https://api.anthropic.com").replace(/\/+$/, "")}/v1/messages`, {
+      method: "POST",
+      headers: {
+        "x-api-key": env.ANTHROPIC_API_KEY,
+        "anthropic-version": "2023-06-01",
+        "Content-Type": "application/json",
+      },
+      body: JSON.stringify(payload),
+    });
+    if (!resp.ok) throw errorFromStatus("anthropic", resp.status, await errorBody(resp));
+
+    let text = "";
+    const usage = { input_tokens: 0, output_tokens: 0 };
+    let raw = null;
+
+    if ((resp.headers.get("content-type") || "").includes("text/event-stream")) {
+      let failure = "";
+      await readEventStream(resp.body, ({ data }) => {
+        let ev;
+        try {
+          ev = JSON.parse(data);
+        } catch {
+          return;
+        }
+        if (ev.type === "content_block_delta" && ev.delta?.type === "text_delta") {
+          text += ev.delta.text;
+          req.onDelta(ev.delta.text);
+        } else if (ev.type === "message_start") {
+          usage.input_tokens = ev.message?.usage?.input_tokens || 0;
+        } else if (ev.type === "message_delta") {
+          usage.output_tokens = ev.usage?.output_tokens || usage.output_tokens;
+        } else if (ev.type === "error") {
+          failure = ev.error?.message || "Anthropic stream error";
+        }
+      });
+      if (failure) throw llmError("anthropic", streamErrorCode(failure), failure);
+    } else {
+      raw = await resp.json().catch(() => null);
+      if (!raw) throw llmError("anthropic", "invalid_response", "Anthropic returned no JSON");
+      text = (raw.content || []).filter((c) => c.type === "text").map((c) => c.text).join("");
+      usage.input_tokens = raw.usage?.input_tokens || 0;
+      usage.output_tokens = raw.usage?.output_tokens || 0;
+    }
+
+    return { text: json ? stripCodeFences(text) : text, usage, raw };
+  },
+};
+
+// overloaded_error arrives mid-stream instead of as an HTTP 529
+function streamErrorCode(message) {
+  return /overloaded/i.test(message) ? "rate_limited" : "upstream";
+}
+
+function imageBlock(img) {
+  return {
+    type: "image",
+    source: img.url ? { type: "url", url: img.url } : { type: "base64", media_type: img.media_type, data: img.data },
+  };
+}
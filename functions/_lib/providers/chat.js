@@ -0,0 +1,110 @@
+import { readEventStream } from "../sse.js";
+import { llmError, errorFromStatus, errorBody, schemaInstructions, stripCodeFences, imageUrl } from "./shared.js";
+
+/* ---------------- Chat Completions (Azure OpenAI, OpenAI-compatible) ---------------- */
+// Same request/stream format; only the URL, auth header and JSON-schema support differ.
+
+// Azure OpenAI: one deployment = one model
+export const azure = {
+  name: "Azure OpenAI",
+  configured: (env) =>
+    env.AZURE_OPENAI_ENDPOINT && env.AZURE_OPENAI_API_KEY && env.AZURE_OPENAI_DEPLOYMENT
+      ? ""
+      : "AZURE_OPENAI_ENDPOINT, AZURE_OPENAI_API_KEY and AZURE_OPENAI_DEPLOYMENT are required",
+  model: (env) => env.AZURE_OPENAI_DEPLOYMENT || "",
+
+  call(env, req, http) {
+    const base = String(env.AZURE_OPENAI_ENDPOINT).replace(/\/+$/, "");
+    const version = env.AZURE_OPENAI_API_VERSION || "2024-10-21";
+    const url = `${base}/openai/deployments/${encodeURIComponent(req.model)}/chat/completions?api-version=${version}`;
+    return chatCompletion("azure", url, { "api-key": env.AZURE_OPENAI_API_KEY }, req, http, { nativeSchema: true });
+  },
+};
+
+// Any server speaking the OpenAI Chat Completions API: Ollama (http://localhost:11434/v1),
+// LM Studio (http://localhost:1234/v1), vLLM, ...
+// OPENAI_COMPAT_JSON_SCHEMA=0 for servers without `response_format: json_schema` –
+// the schema then goes into the instructions instead.
+export const openaiCompatible = {
+  name: "OpenAI-compatible",
+  configured: (env) =>
+    env.OPENAI_COMPAT_BASE_URL && env.OPENAI_COMPAT_MODEL ? "" : "OPENAI_COMPAT_BASE_URL and OPENAI_COMPAT_MODEL are required",
+  model: (env) => env.OPENAI_COMPAT_MODEL || "",
+
+  call(env, req, http) {
+    const url = `${String(env.OPENAI_COMPAT_BASE_URL).replace(/\/+$/, "")}/chat/completions`;
+    const headers = env.OPENAI_COMPAT_API_KEY ? { Authorization: `Bearer ${env.OPENAI_COMPAT_API_KEY}` } : {};
+    const nativeSchema = String(env.OPENAI_COMPAT_JSON_SCHEMA ?? "1") !== "0";
+    return chatCompletion("openai_compatible", url, headers, req, http, { nativeSchema });
+  },
+};
+
+async function chatCompletion(provider, url, authHeaders, req, http, { nativeSchema }) {
+  const json = req.format?.type === "json_schema";
+  const system = json && !nativeSchema ? `${req.instructions}\n\n${schemaInstructions(req.format)}` : req.instructions;
+
+  const payload = {
+    model: req.model,
+    messages: [
+      { role: "system", content: system },
+      {
+        role: "user",
+        content: req.images.length
+          ? [{ type: "text", text: req.input }, ...req.images.map((img) => ({ type: "image_url", image_url: { url: imageUrl(img) } }))]
+          : req.input,
+      },
+    ],
+    max_tokens: req.max_output_tokens,
+  };
+  if (typeof req.temperature === "number") payload.temperature = req.temperature;
+  if (json && nativeSchema) {
+    payload.response_format = {
+      type: "json_schema",
+      json_schema: { name: req.format.name, schema: req.format.schema, strict: req.format.strict !== false },
+    };
+  }
+  if (req.onDelta) {
+    payload.stream = true;
+    payload.stream_options = { include_usage: true };
+  }
+
+  const resp = await http(url, {
+    method: "POST",
+    headers: { ...authHeaders, "Content-Type": "application/json" },
+    body: JSON.stringify(payload),
+  });
+  if (!resp.ok) throw errorFromStatus(provider, resp.status, await errorBody(resp));
+
+  let text = "";
+  let usage = null;
+  let raw = null;
+
+  if ((resp.headers.get("content-type") || "").includes("text/event-stream")) {
+    await readEventStream(resp.body, ({ data }) => {
+      if (data === "[DONE]") return;
+      let ev;
+      try {
+        ev = JSON.parse(data);
+      } catch {
+        return;
+      }
+      const delta = ev.choices?.[0]?.delta?.content;
+      if (delta) {
+        text += delta;
+        req.onDelta(delta);
+      }
+      if (ev.usage) usage = ev.usage;
+    });
+  } else {
+    raw = await resp.json().catch(() => null);
+    if (!raw) throw llmError(provider, "invalid_response", `${provider} returned no JSON`);
+    text = raw.choices?.[0]?.message?.content || "";
+    usage = raw.usage;
+  }
+
+  return {
+    text: json ? stripCodeFences(text) : text,
+    usage: { input_tokens: usage?.prompt_tokens, output_tokens: usage?.completion_tokens, total_tokens: usage?.total_tokens },
+    raw,
+  };
+}
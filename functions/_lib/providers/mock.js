@@ -0,0 +1,219 @@
+import { variantsToText, VARIANT_LABELS } from "../listing.js";
+import { llmError } from "./shared.js";
+
+/* ---------------- Mock provider (offline, deterministic) ---------------- */
+// LLM_MOCK_FIXTURES – JSON array of { purpose?, match?, output } replayed instead of a model:
+//   purpose – "listing" | "repair" | ... (callLLM opts.purpose); empty = any
+//   match   – regex tested against instructions + input; empty = any
+//   output  – the answer (objects are sent as JSON); { error: { code, message, status } } throws instead
+// The first fixture that fits wins. Without one, a synthetic listing is built from the numbers in
+// the prompt (bullet count/lengths, description and title length, byte limit), so the whole
+// generate → validate → repair pipeline runs offline and passes.
+export const mock = {
+  name: "Mock (fixtures)",
+  configured: () => "",
+  model: () => "mock",
+
+  async call(env, req) {
+    const fixture = pickFixture(env, req);
+    if (fixture?.error) {
+      const e = fixture.error;
+      throw llmError("mock", e.code || "upstream", e.message || "Mock error", e.status || 0);
+    }
+
+    const text = fixture
+      ? typeof fixture.output === "string"
+        ? fixture.output
+        : JSON.stringify(fixture.output)
+      : synthetic(req);
+
+    if (req.onDelta) {
+      for (let i = 0; i < text.length; i += 80) req.onDelta(text.slice(i, i + 80));
+    }
+
+    const input_tokens = Math.ceil((req.instructions.length + req.input.length) / 4);
+    const output_tokens = Math.ceil(text.length / 4);
+    return { text, usage: { input_tokens, output_tokens }, raw: { fixture: fixture ? fixture.index : null } };
+  },
+};
+
+function pickFixture(env, req) {
+  let list;
+  try {
+    list = JSON.parse(env.LLM_MOCK_FIXTURES || "[]");
+  } catch {
+    throw llmError("mock", "bad_request", "LLM_MOCK_FIXTURES is not valid JSON");
+  }
+  if (!Array.isArray(list)) return null;
+
+  const haystack = `${req.instructions}\n${req.input}`;
+  for (const [index, f] of list.entries()) {
+    if (!f || typeof f !== "object") continue;
+    if (f.purpose && f.purpose !== req.purpose) continue;
+    if (f.match && !new RegExp(f.match, "iu").test(haystack)) continue;
+    return { ...f, index };
+  }
+  return null;
+}
+
+/* ---------------- SYNTHETIC OUTPUT ---------------- */
+
+const WORDS = [
+  "practical", "sturdy", "compact", "lightweight", "reliable", "versatile", "elegant", "modern", "durable",
+  "everyday", "carefully", "designed", "comfortable", "simple", "handy", "quality", "finish", "material",
+  "detail", "routine", "space", "travel", "storage", "setup", "clean", "solid", "smooth", "neat",
+];
+const BACKEND = ["gift", "idea", "household", "accessory", "organiser", "utility", "helper", "essential", "kit"];
+
+function synthetic(req) {
+  const spec = readSpec(req);
+
+  if (req.format?.name === "listing_repair") return JSON.stringify(syntheticRepair(req, spec));
+  if (req.format?.name === "competitor_analysis") return JSON.stringify(syntheticCompetitors(req));
+  if (req.format?.name === "aplus_content") return JSON.stringify(syntheticAplus(req, spec));
+  if (req.format?.name === "image_facts") return JSON.stringify(syntheticImageFacts(req));
+
+  const labels = spec.variants > 1 ? VARIANT_LABELS.slice(0, spec.variants) : [""];
+  const variants = labels.map((label, i) => ({ label, ...syntheticVariant(spec, i) }));
+  if (req.format?.type === "json_schema") {
+    return JSON.stringify({ variants: variants.map((v, i) => ({ ...v, label: VARIANT_LABELS[i] })) });
+  }
+  return variantsToText(variants);
+}
+
+// Numbers the prompts in generate.js / repair.js spell out
+function readSpec(req) {
+  const num = (re, text, fallback) => {
+    const m = text.match(re);
+    return m ? m.slice(1).map(Number) : fallback;
+  };
+  const ins = req.instructions;
+  const [bulletCount] = num(/EXACTLY (\d+) bullets/, ins, [5]);
+  const [bMin, bMax] = num(/Each bullet MUST be (\d+)–(\d+)/, ins, [150, 200]);
+  const [dMin, dMax] = num(/Description: MUST be (\d+)–(\d+)/, ins, [1000, 1500]);
+  const [tMin, tMax] = num(/Aim ~(\d+)–(\d+) characters/, ins, [80, 120]);
+  const [bytes] = num(/At most (\d+) BYTES/, ins, [249]);
+  const [variants] = num(/Return exactly (\d+) item/, req.input, [/THREE distinct variants/.test(req.input) ? 3 : 1]);
+  const brand = (req.input.match(/^Brand name: (.*)$/m) || [])[1]?.trim() || "Brand";
+  return {
+    bulletCount,
+    bullet: Math.round((bMin + bMax) / 2),
+    desc: Math.round((dMin + dMax) / 2),
+    title: Math.round((tMin + tMax) / 2),
+    bytes,
+    variants,
+    brand,
+  };
+}
+
+function syntheticVariant(spec, seed) {
+  return {
+    title: fill(`${spec.brand} Mock Product –`, spec.title, seed, true),
+    bullets: Array.from({ length: spec.bulletCount }, (_, i) => fill(`✅ FEATURE ${i + 1}:`, spec.bullet, seed + i)),
+    description: paragraphs(spec.desc, seed),
+    backend_terms: backendTerms(spec.bytes),
+  };
+}
+
+function syntheticRepair(req, spec) {
+  const fix = (req.input.split("\nFIX:\n")[1] || "").split("\n");
+  const v = syntheticVariant(spec, 1);
+  const out = { title: null, bullets: [], description: null, backend_terms: null };
+  for (const line of fix) {
+    if (line.startsWith("- title:")) out.title = v.title;
+    else if (line.startsWith("- description:")) out.description = v.description;
+    else if (line.startsWith("- backend_terms:")) out.backend_terms = v.backend_terms;
+    else if (line.startsWith("- ALL bullets")) out.bullets = v.bullets.map((text, i) => ({ index: i + 1, text }));
+    else {
+      const m = line.match(/^- bullet (\d+)/);
+      if (m) out.bullets.push({ index: Number(m[1]), text: fill(`✅ FEATURE ${m[1]}:`, spec.bullet, Number(m[1])) });
+    }
+  }
+  return out;
+}
+
+// Competitor analysis from the recurring words the prompt lists (competitors.js)
+function syntheticCompetitors(req) {
+  const phrases = [...req.input.matchAll(/^(.+) – \d+$/gm)].map((m) => m[1]).slice(0, 5);
+  return {
+    common_claims: ["Mock: every competitor stresses quality"],
+    keyword_patterns: phrases,
+    gaps: ["Mock: no competitor states the exact dimensions"],
+    differentiation: ["Mock: lead with the exact dimensions"],
+  };
+}
+
+// A+ modules within the limits aplus.js spells out (column count from the prompt)
+function syntheticAplus(req, spec) {
+  const [columns] = (req.instructions.match(/columns: exactly (\d+)/) || [0, 1]).slice(1).map(Number);
+  const brief = "Mock image brief: product on a white background.";
+  return {
+    header: { headline: fill(`${spec.brand} –`, 60, 0), body: paragraphs(400, 1), image_brief: brief },
+    comparison: {
+      columns: Array.from({ length: columns }, (_, i) => ({ title: i ? `Mock Product ${i + 1}` : `${spec.brand} Mock Product`, image_brief: brief })),
+      rows: ["Material", "Size", "Weight", "Care"].map((label) => ({ label, values: Array(columns).fill("Mock value") })),
+    },
+    four_images: {
+      headline: fill("Why", 50, 2),
+      blocks: Array.from({ length: 4 }, (_, i) => ({ headline: fill(`Feature ${i + 1}`, 40, i), body: fill("Mock:", 200, i), image_brief: brief })),
+    },
+    tech_specs: {
+      headline: "Technical details",
+      specs: ["Material", "Size", "Weight", "Colour", "Care"].map((label) => ({ label, value: "Mock value" })),
+    },
+  };
+}
+
+// One entry per image sent (vision.js); the first image passes every main-image rule
+function syntheticImageFacts(req) {
+  const ids = req.format.schema.properties.images.items.properties.main_image.items.properties.id.enum;
+  return {
+    images: req.images.map((_, i) => ({
+      index: i + 1,
+      description: `Mock image ${i + 1}`,
+      text_on_image: i ? "Mock label text" : "",
+      alt_text: `Mock product, view ${i + 1}`,
+      main_image: ids.map((id) => ({ id, status: i ? "fail" : "pass", note: i ? "Mock: text on the image" : "" })),
+    })),
+    facts: {
+      volume: "50 ml",
+      ingredients: ["Aqua", "Glycerin"],
+      certifications: ["Mock Organic"],
+      claims: ["Mock: dermatologically tested"],
+      other: [{ label: "Skin type", value: "All skin types" }],
+    },
+  };
+}
+
+// prefix + words up to exactly `length` chars; `unique` = no word twice (titles)
+function fill(prefix, length, seed, unique = false) {
+  let s = prefix;
+  for (let i = 0; s.length < length; i++) {
+    if (unique && i >= WORDS.length) break;
+    s += " " + WORDS[(seed + i) % WORDS.length];
+  }
+  s = s.slice(0, length).trimEnd();
+  while (s.length < length) s += ".";
+  return s;
+}
+
+function paragraphs(length, seed) {
+  const out = [];
+  let total = 0;
+  while (total < length) {
+    const p = fill("This product is", Math.min(400, length - total - 2), seed + out.length);
+    if (p.length < 20) break;
+    out.push(p);
+    total += p.length + 2;
+  }
+  return fill(out.join("\n\n"), length, seed);
+}
+
+function backendTerms(maxBytes) {
+  let s = "";
+  for (const w of BACKEND) {
+    if ((s ? s.length + 1 : 0) + w.length > maxBytes) break;
+    s = s ? `${s} ${w}` : w;
+  }
+  return s;
+}
@@ -0,0 +1,113 @@
+import { readEventStream } from "../sse.js";
+import { llmError, errorFromStatus, errorBody, imageUrl } from "./shared.js";
+
+/* ---------------- OpenAI call helper ---------------- */
+export function modelSupportsTemperature(modelId) {
+  const m = String(modelId || "").trim().toLowerCase();
+  if (m.startsWith("gpt-5")) return false;
+  if (/^o\d/.test(m)) return false; // o1, o3, o4, etc.
+  return true;
+}
+
+// OpenAI Responses API (default provider).
+// `format` is the Responses API text.format object – plain text unless a JSON schema is passed.
+// With `onDelta` the streaming API is used; the final response object is the same either way.
+export const openai = {
+  name: "OpenAI",
+  configured: (env) => (env.OPENAI_API_KEY ? "" : "OPENAI_API_KEY missing in runtime env"),
+  model: (env) => env.OPENAI_MODEL || "gpt-5.2",
+
+  async call(env, req, http) {
+    const payload = {
+      model: req.model,
+      instructions: req.instructions,
+      input: req.images.length
+        ? [
+            {
+              role: "user",
+              content: [
+                { type: "input_text", text: req.input },
+                ...req.images.map((img) => ({ type: "input_image", image_url: imageUrl(img) })),
+              ],
+            },
+          ]
+        : req.input,
+      max_output_tokens: req.max_output_tokens,
+      text: { format: req.format || { type: "text" } },
+    };
+    if (req.onDelta) payload.stream = true;
+
+    // ✅ FIX: only send temperature if supported by model
+    if (modelSupportsTemperature(req.model) && typeof req.temperature === "number") {
+      payload.temperature = req.temperature;
+    }
+
+    const resp = await http("https://api.openai.com/v1/responses", {
+      method: "POST",
+      headers: {
+        Authorization: `Bearer ${env.OPENAI_API_KEY}`,
+        "Content-Type": "application/json",
+      },
+      body: JSON.stringify(payload),
+    });
+
+    if (!resp.ok) throw errorFromStatus("openai", resp.status, await errorBody(resp));
+
+    const contentType = resp.headers.get("content-type") || "";
+    const data = contentType.includes("text/event-stream")
+      ? await readResponseStream(resp, req.onDelta)
+      : await resp.json().catch(() => null);
+    if (!data) throw llmError("openai", "invalid_response", "OpenAI returned no JSON");
+
+    return { text: extractText(data), usage: data.usage, raw: data };
+  },
+};
+
+// Streaming Responses API: text deltas go to onDelta, the final response comes with
+// `response.completed` (incl. usage)
+async function readResponseStream(resp, onDelta) {
+  let final = null;
+  let failure = "";
+  await readEventStream(resp.body, ({ data }) => {
+    let ev;
+    try {
+      ev = JSON.parse(data);
+    } catch {
+      return;
+    }
+    if (ev.type === "response.output_text.delta" && ev.delta) onDelta?.(ev.delta);
+    else if (ev.type === "response.completed") final = ev.response;
+    else if (ev.type === "response.failed" || ev.type === "response.incomplete") {
+      final = ev.response;
+      failure = ev.response?.error?.message || ev.response?.incomplete_details?.reason || "";
+    } else if (ev.type === "error") failure = ev.message || ev.error?.message || "OpenAI stream error";
+  });
+
+  if (failure && !final?.output?.length) throw llmError("openai", "upstream", failure);
+  if (!final) throw llmError("openai", "invalid_response", "OpenAI stream ended without a response");
+  return final;
+}
+
+export function extractText(data) {
+  if (typeof data?.output_text === "string" && data.output_text.trim()) {
+    return data.output_text.trim();
+  }
+
+  const out = data?.output;
+  if (Array.isArray(out)) {
+    const parts = [];
+    for (const item of out) {
+      const content = item?.content;
+      if (Array.isArray(content)) {
+        for (const c of content) {
+          if (c?.type === "output_text" && typeof c?.text === "string") parts.push(c.text);
+          else if (typeof c?.text === "string") parts.push(c.text);
+        }
+      }
+    }
+    const joined = parts.join("\n").trim();
+    if (joined) return joined;
+  }
+
+  return "";
+}
@@ -0,0 +1,55 @@
+// Helpers shared by the provider backends (see ../llm.js)
+
+/* ---------------- ERRORS ---------------- */
+
+export function llmError(provider, code, message, status = 0) {
+  const e = new Error(message || code);
+  e.name = "LLMError";
+  e.provider = provider;
+  e.code = code;
+  e.status = status;
+  return e;
+}
+
+export function errorFromStatus(provider, status, message) {
+  const code =
+    status === 401 || status === 403
+      ? "auth"
+      : status === 429
+        ? "rate_limited"
+        : status >= 400 && status < 500
+          ? "bad_request"
+          : "upstream";
+  return llmError(provider, code, message || `${provider} error (${status})`, status);
+}
+
+// Providers without native JSON-schema support get the schema in the instructions
+export function schemaInstructions(format) {
+  return `Return ONLY a JSON object (no code fences, no commentary) that matches this JSON schema:
+${JSON.stringify(format.schema)}`;
+}
+
+// Strips ```json fences some models add around JSON answers
+export function stripCodeFences(text) {
+  const m = String(text || "").trim().match(/^```(?:json)?\s*([\s\S]*?)\s*```$/i);
+  return m ? m[1] : String(text || "");
+}
+
+/* ---------------- IMAGES ---------------- */
+
+// req.images items are { url } or { data (base64), media_type }; providers without a
+// separate base64 block take them as URLs
+export function imageUrl(img) {
+  return img.url || `data:${img.media_type};base64,${img.data}`;
+}
+
+// Reads a JSON or text error body into a message
+export async function errorBody(resp) {
+  const text = await resp.text().catch(() => "");
+  try {
+    const data = JSON.parse(text);
+    return data?.error?.message || data?.error || data?.message || text;
+  } catch {
+    return text;
+  }
+}
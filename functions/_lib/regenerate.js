@@ -0,0 +1,223 @@
+import { resolveProvider, llmErrorMessage } from "./llm.js";
+import { variantToText, variantsToText } from "./listing.js";
+import { MARKETPLACES } from "./marketplaces.js";
+import { CATEGORY_TEMPLATES, isKnownCategory } from "./templates.js";
+import { sanitizeConstraints } from "./profiles.js";
+import { resolveListingRules, listingInstructions } from "./pipeline.js";
+import { repairListing, repairBudget, regenerateFields, failingTargets, targetName, MAX_REPAIR_ATTEMPTS } from "./repair.js";
+import { keywordPromptText, keywordCoverage } from "./keywords.js";
+import { isValidBrandId } from "./brands.js";
+import { scoreVariants } from "./scoring.js";
+
+// Partial regeneration: rewrites chosen fields of one variant of an existing listing while every
+// other field stays word for word. One call writes the targets anew (following the user's
+// guidance), then the usual validate → repair – limited to the targets, so locked fields are
+// never touched, even when they fail validation.
+//
+// Field names as in the history diff: "title", "bullet:1".."bullet:n", "bullets" (all of them),
+// "description", "backend_terms". targets minus locked is what gets rewritten.
+
+const MAX_GUIDANCE = 500;
+
+// body: { list, index (of the variant in list), targets, locked?, guidance?, marketplace, brand_name,
+//         brand?, brand_voice?, usp?, user_prompt?, category?, profile?, constraints?, keywords?,
+//         repair_attempts?, provider? } – the listing is already resolved (api/regenerate.js)
+// Returns { ok: true, req } or { ok: false, error, status }
+export function parseRegenerateRequest(env, body) {
+  const bad = (error, status = 400) => ({ ok: false, error, status });
+
+  const llm = resolveProvider(env, body.provider);
+  if (!llm.ok) return bad(llm.error, llm.status);
+
+  const variant = body.list?.[body.index];
+  if (!variant?.title && !variant?.bullets?.length) return bad("Listing is empty");
+
+  // history versions keep the marketplace as typed ("Amazon.de")
+  const marketplace = String(body.marketplace || "").trim().toLowerCase();
+  if (!MARKETPLACES[marketplace]) return bad(`Unknown marketplace, expected one of: ${Object.keys(MARKETPLACES).join(", ")}`);
+
+  if (body.targets == null) return bad("Missing targets (fields to regenerate)");
+  const wanted = parseFields(body.targets, variant.bullets.length);
+  if (!wanted.ok) return bad(wanted.error);
+  const locked = parseFields(body.locked ?? [], variant.bullets.length);
+  if (!locked.ok) return bad(locked.error);
+
+  // "bullets" with none of them locked is one rewrite of all bullets (which can fix their count too)
+  const targets = new Set([...wanted.fields].filter((t) => !locked.fields.has(t)));
+  if (wanted.allBullets && ![...locked.fields].some((t) => t.startsWith("bullet:"))) {
+    for (const t of [...targets]) if (t.startsWith("bullet:")) targets.delete(t);
+    targets.add("bullets");
+  }
+  if (!targets.size) return bad("Nothing to regenerate – every target is locked");
+  // listing order, as in the repair prompts: title, bullets, description, backend terms
+  const rank = (t) => (t === "title" ? -2 : t === "bullets" ? -1 : t.startsWith("bullet:") ? Number(t.slice(7)) : t === "description" ? 1000 : 1001);
+
+  const guidance = String(body.guidance || "").replace(/\s+/g, " ").trim();
+  if (guidance.length > MAX_GUIDANCE) return bad(`guidance too long (max ${MAX_GUIDANCE} characters)`);
+
+  const categoryRaw = String(body.category || "auto").trim().toLowerCase();
+  if (categoryRaw !== "auto" && !isKnownCategory(categoryRaw)) {
+    return bad(`Unknown category, expected auto or one of: ${Object.keys(CATEGORY_TEMPLATES).join(", ")}`);
+  }
+
+  if (body.constraints != null) {
+    const checked = sanitizeConstraints(body.constraints, { partial: true });
+    if (!checked.ok) return bad(checked.error);
+  }
+
+  if (body.repair_attempts != null) {
+    const n = Number(body.repair_attempts);
+    if (!Number.isInteger(n) || n < 0 || n > MAX_REPAIR_ATTEMPTS) {
+      return bad(`repair_attempts must be an integer 0–${MAX_REPAIR_ATTEMPTS}`);
+    }
+  }
+
+  const brandName = String(body.brand_name || "").trim();
+  if (!brandName) return bad("Missing brand_name");
+
+  const brand = body.brand ? String(body.brand).trim().toLowerCase() : null;
+  if (brand && !isValidBrandId(brand)) return bad("Invalid brand id");
+
+  return {
+    ok: true,
+    req: {
+      provider: llm.provider,
+      list: body.list,
+      index: body.index,
+      targets: new Set([...targets].sort((a, b) => rank(a) - rank(b))),
+      locked: locked.fields,
+      guidance,
+      marketplace,
+      brandName,
+      brand,
+      brandVoice: String(body.brand_voice || "").trim(),
+      usp: String(body.usp || "").trim(),
+      productText: String(body.user_prompt || "").trim(),
+      categoryRaw,
+      profile: body.profile,
+      constraints: body.constraints,
+      keywords: body.keywords || null,
+      repairAttempts: repairBudget(body.repair_attempts, env),
+    },
+  };
+}
+
+// ["title", "bullet:3", "bullet 4", "bullets", ...] → { ok: true, fields: Set("title", "bullet:2", ...), allBullets }
+// (internal targets count bullets from 0, see repair.js) or { ok: false, error }
+function parseFields(raw, bulletCount) {
+  const names = Array.isArray(raw) ? raw : String(raw || "").split(",");
+  const fields = new Set();
+  let allBullets = false;
+  for (const x of names) {
+    const name = String(x || "").trim().toLowerCase().replace(/^bullet\s*:?\s*(\d+)$/, "bullet:$1");
+    if (!name) continue;
+    if (name === "title" || name === "description" || name === "backend_terms") {
+      fields.add(name);
+    } else if (name === "bullets") {
+      allBullets = true;
+      for (let i = 0; i < bulletCount; i++) fields.add(`bullet:${i}`);
+    } else {
+      const n = Number(name.match(/^bullet:(\d+)$/)?.[1]);
+      if (!n || n > bulletCount) {
+        return { ok: false, error: `Unknown field "${String(x).slice(0, 40)}", expected title, bullet:1–${bulletCount}, bullets, description or backend_terms` };
+      }
+      fields.add(`bullet:${n - 1}`);
+    }
+  }
+  return { ok: true, fields, allBullets };
+}
+
+// Returns { status, body } – body: { output, variants, variant, regenerated, locked, category, profile,
+// brand?, provider, validation, compliance, keywords?, scores? (several variants), repair }
+export async function runRegeneration(env, req, { signal, usage = { tokens: 0 } } = {}) {
+  const { provider, list, marketplace, brandName, brandVoice, usp, productText, keywords } = req;
+  const variant = list[req.index];
+
+  const rules = await resolveListingRules(env, {
+    marketplace,
+    categoryRaw: req.categoryRaw,
+    productText: productText || variantToText(variant),
+    profile: req.profile,
+    constraints: req.constraints,
+    brandName,
+    brand: req.brand,
+  });
+  if (!rules.ok) return { status: 400, body: { error: rules.error } };
+  const { category, profile, cfg, check } = rules;
+  const baseInstructions = listingInstructions(rules, marketplace);
+
+  // product context – shared by the rewrite and the repair calls
+  const context = `Brand name: ${brandName}
+${usp ? `USPs: ${usp}` : ""}
+Marketplace: ${marketplace}
+${brandVoice ? `Brand voice: ${brandVoice}` : ""}
+
+User product info:
+${productText || "(only the listing below)"}${keywords ? `
+
+${keywordPromptText(keywords)}` : ""}`;
+
+  // what each target gets: a new version along the guidance, plus what the validator has against it now
+  const now = check([variant]);
+  const failing = failingTargets(now.validation.variants[0], now.compliance.variants[0]);
+  const targets = new Map(
+    [...req.targets].map((t) => [t, [`write a new version${req.guidance ? ` – ${req.guidance}` : ""}`, ...(failing.get(t) || [])]])
+  );
+  // the repair loop may only touch what was regenerated
+  const only = new Set(targets.keys());
+  if (only.has("bullets")) for (let i = 0; i < Math.max(cfg.BULLET_COUNT, variant.bullets.length); i++) only.add(`bullet:${i}`);
+
+  try {
+    const changed = await regenerateFields(env, {
+      variant,
+      targets,
+      baseInstructions,
+      context,
+      cfg,
+      usage,
+      signal,
+      provider: provider.id,
+    });
+    if (!changed) return { status: 500, body: { error: `${provider.name} returned none of the requested fields` } };
+
+    const repair = await repairListing(env, {
+      list: [variant],
+      check,
+      baseInstructions,
+      context,
+      cfg,
+      maxAttempts: req.repairAttempts,
+      usage,
+      signal,
+      provider: provider.id,
+      only,
+    });
+
+    const result = check(list);
+    const reports = {
+      validation: result.validation,
+      compliance: result.compliance,
+      ...(keywords ? { keywords: keywordCoverage(list, keywords) } : {}),
+    };
+    return {
+      status: 200,
+      body: {
+        output: variantsToText(list),
+        variants: list,
+        variant: variant.label || "",
+        regenerated: [...targets.keys()].map(targetName),
+        locked: [...req.locked].map(targetName),
+        category,
+        profile,
+        ...(rules.brand ? { brand: rules.brand } : {}),
+        provider: { id: provider.id, model: provider.model },
+        ...reports,
+        ...(list.length > 1 ? { scores: scoreVariants(list, { ...reports, marketplace }) } : {}),
+        repair: repair.summary,
+      },
+    };
+  } catch (e) {
+    const msg = signal?.aborted ? "Cancelled" : llmErrorMessage(e);
+    return { status: 500, body: { error: msg, ...(e?.code ? { code: e.code, provider: e.provider } : {}) } };
+  }
+}
@@ -0,0 +1,276 @@
+import { callLLM } from "./llm.js";
+import { variantToText } from "./listing.js";
+import { BLOCKING_SEVERITIES } from "./compliance.js";
+
+// Field-targeted repair pipeline.
+// Each failing variant gets its own call that rewrites ONLY its failing fields – the title,
+// single bullets (or all bullets when the count is wrong), description, backend terms –
+// while fields that pass stay untouched. Loops until everything passes or the attempt
+// budget is used up.
+//
+// Targets: "title" | "bullet:<index>" | "bullets" | "description" | "backend_terms"
+
+export const DEFAULT_REPAIR_ATTEMPTS = 2;
+export const MAX_REPAIR_ATTEMPTS = 5;
+
+// `check(list)` → { ok, validation, compliance } (validator + compliance scanner)
+// `list` is modified in place. `only` (Set of targets) limits the rewrites to those fields –
+// the others stay as they are even when they fail (locked fields of a regeneration). `onAttempt({ attempt, budget, variants: [{ label, fields }] })`
+// is called before each round (progress events); `signal` cancels the calls.
+// Returns { changed, result (last check), summary: { attempts, budget, ok, variants: [{ label, repaired, still_failing }] } }
+export async function repairListing(
+  env,
+  { list, check, baseInstructions, context, cfg, maxAttempts, usage, onAttempt, signal, provider, only = null }
+) {
+  const touched = list.map(() => new Set());
+  let attempts = 0;
+  let result = check(list);
+
+  while (!result.ok && attempts < maxAttempts) {
+    const targets = list.map((_, i) => failingTargets(result.validation.variants[i], result.compliance.variants[i], only));
+    // what still fails is outside `only`
+    if (targets.every((t) => !t.size)) break;
+    attempts++;
+    onAttempt?.({
+      attempt: attempts,
+      budget: maxAttempts,
+      variants: list.map((v, i) => ({ label: v.label || "", fields: [...targets[i].keys()].map(targetName) })),
+    });
+
+    const jobs = list.map(async (variant, i) => {
+      if (!targets[i].size) return;
+
+      const fixed = await repairVariant(env, {
+        variant,
+        targets: targets[i],
+        baseInstructions,
+        context,
+        cfg,
+        usage,
+        signal,
+        provider,
+      });
+      if (applyRepair(variant, targets[i], fixed)) {
+        for (const t of targets[i].keys()) touched[i].add(t);
+      }
+    });
+    await Promise.all(jobs);
+
+    result = check(list);
+  }
+
+  const variants = list.map((v, i) => {
+    const failing = failingTargets(result.validation.variants[i], result.compliance.variants[i], only);
+    return {
+      label: v.label || "",
+      repaired: [...touched[i]].filter((t) => !failing.has(t)).map(targetName),
+      still_failing: [...failing.keys()].map(targetName),
+    };
+  });
+
+  return {
+    changed: touched.some((t) => t.size > 0),
+    result,
+    summary: { attempts, budget: maxAttempts, ok: result.ok, variants },
+  };
+}
+
+// Clamp a requested attempt budget (request body or env) to 0..MAX_REPAIR_ATTEMPTS
+export function repairBudget(requested, env) {
+  const raw = requested ?? env?.REPAIR_MAX_ATTEMPTS;
+  const n = Number(raw);
+  if (raw == null || raw === "" || !Number.isFinite(n)) return DEFAULT_REPAIR_ATTEMPTS;
+  return Math.max(0, Math.min(MAX_REPAIR_ATTEMPTS, Math.floor(n)));
+}
+
+/* ---------------- TARGETS ---------------- */
+
+// target → list of messages (Map keeps a stable order: title, bullets, description, backend);
+// with `only` just the targets in that Set
+export function failingTargets(vReport, cReport, only = null) {
+  const out = new Map();
+  const add = (t, msg) => {
+    if (only && !only.has(t)) return;
+    if (!out.has(t)) out.set(t, []);
+    if (msg) out.get(t).push(msg);
+  };
+  const errors = (issues) => issues.filter((x) => x.severity === "error").map((x) => x.message);
+
+  const f = vReport.fields;
+  if (!f.title.ok) add("title", errors(f.title.issues).join("; "));
+
+  const bulletFieldErrors = errors(f.bullets.issues);
+  if (bulletFieldErrors.length) {
+    add("bullets", bulletFieldErrors.join("; "));
+  }
+  for (const item of f.bullets.items) {
+    if (!item.ok) add(`bullet:${item.index}`, errors(item.issues).join("; "));
+  }
+
+  if (!f.description.ok) add("description", errors(f.description.issues).join("; "));
+  if (!f.backend_terms.ok) add("backend_terms", errors(f.backend_terms.issues).join("; "));
+
+  for (const finding of cReport?.findings || []) {
+    if (!BLOCKING_SEVERITIES.has(finding.severity)) continue;
+    const t = finding.field === "bullets" ? `bullet:${finding.index}` : finding.field;
+    add(t, `prohibited ${finding.type} claim "${finding.text}" – rewrite without it`);
+  }
+
+  // a full bullet rewrite covers the single-bullet targets
+  if (out.has("bullets")) {
+    for (const t of [...out.keys()]) {
+      if (t.startsWith("bullet:")) {
+        out.get("bullets").push(...out.get(t));
+        out.delete(t);
+      }
+    }
+  }
+  return out;
+}
+
+export function targetName(t) {
+  return t.startsWith("bullet:") ? `bullet ${Number(t.slice(7)) + 1}` : t;
+}
+
+/* ---------------- REGENERATION ---------------- */
+
+const REGENERATE_SPEC = `REGENERATE MODE:
+You are rewriting part of ONE variant of an existing listing on request.
+- Write the fields listed under FIX anew – a different, better text, not a light edit – and follow
+  the instructions given there.
+- All other fields are locked: do not change them. Keep the rewritten fields consistent with them
+  (facts, claims, terminology, tone) and do not repeat their sentences or selling points.
+- Backend search terms: no word that already appears in the title or the bullets, no duplicates.
+- Each rewritten field must satisfy the HARD REQUIREMENTS above.
+- Return a JSON object matching the schema. Fields you were not asked to rewrite must be null;
+  "bullets" must be an empty array unless bullets are listed under FIX.`;
+
+// One call that rewrites the `targets` of `variant` (in place) – the partial regeneration of
+// regenerate.js. `targets`: Map target → instructions. Returns true if anything changed.
+export async function regenerateFields(env, { variant, targets, baseInstructions, context, cfg, usage, signal, provider }) {
+  const fixed = await repairVariant(env, {
+    variant,
+    targets,
+    baseInstructions,
+    context,
+    cfg,
+    usage,
+    signal,
+    provider,
+    spec: REGENERATE_SPEC,
+    purpose: "regenerate",
+  });
+  return applyRepair(variant, targets, fixed);
+}
+
+/* ---------------- SINGLE VARIANT ---------------- */
+
+const REPAIR_SPEC = `REPAIR MODE:
+You are repairing ONE variant of an existing listing.
+- Rewrite ONLY the fields listed under FIX. All other fields are approved: do not change them,
+  and keep the rewritten fields consistent with them (facts, claims, terminology, tone).
+- Each rewritten field must satisfy the HARD REQUIREMENTS above.
+- Return a JSON object matching the schema. Fields you were not asked to fix must be null;
+  "bullets" must be an empty array unless bullets are listed under FIX.`;
+
+async function repairVariant(env, { variant, targets, baseInstructions, context, cfg, usage, signal, provider, spec = REPAIR_SPEC, purpose = "repair" }) {
+  const lines = [];
+  for (const [t, msgs] of targets) {
+    const why = msgs.filter(Boolean).join("; ");
+    if (t === "bullets") {
+      lines.push(`- ALL bullets (return all ${cfg.BULLET_COUNT}, "index" 1–${cfg.BULLET_COUNT}): ${why}`);
+    } else if (t.startsWith("bullet:")) {
+      lines.push(`- bullet ${Number(t.slice(7)) + 1} (return it with "index": ${Number(t.slice(7)) + 1}): ${why}`);
+    } else {
+      lines.push(`- ${t}: ${why}`);
+    }
+  }
+
+  const input = `${context}
+
+CURRENT VARIANT:
+${variantToText(variant)}
+
+FIX:
+${lines.join("\n")}`;
+
+  const heavy = targets.has("bullets") || targets.has("description");
+  const res = await callLLM(env, `${baseInstructions}\n\n${spec}`, input, {
+    provider,
+    purpose,
+    max_output_tokens: heavy ? 3600 : 1500,
+    temperature: 0.6,
+    timeoutMs: 60000,
+    usage,
+    signal,
+    format: repairJsonFormat(),
+  });
+
+  try {
+    return JSON.parse(res.text);
+  } catch {
+    return null;
+  }
+}
+
+// Applies only the requested fields; returns true if anything changed
+function applyRepair(variant, targets, fixed) {
+  if (!fixed || typeof fixed !== "object") return false;
+  let changed = false;
+
+  const str = (x) => (typeof x === "string" ? x.trim() : "");
+  for (const field of ["title", "description", "backend_terms"]) {
+    if (targets.has(field) && str(fixed[field])) {
+      variant[field] = str(fixed[field]);
+      changed = true;
+    }
+  }
+
+  const items = (Array.isArray(fixed.bullets) ? fixed.bullets : [])
+    .map((b) => ({ index: Number(b?.index), text: str(b?.text) }))
+    .filter((b) => Number.isInteger(b.index) && b.text);
+
+  if (targets.has("bullets")) {
+    if (items.length) {
+      variant.bullets = items.sort((a, b) => a.index - b.index).map((b) => b.text);
+      changed = true;
+    }
+  } else {
+    for (const b of items) {
+      const i = b.index - 1;
+      if (targets.has(`bullet:${i}`) && i < (variant.bullets || []).length) {
+        variant.bullets[i] = b.text;
+        changed = true;
+      }
+    }
+  }
+  return changed;
+}
+
+function repairJsonFormat() {
+  const nullableString = { type: ["string", "null"] };
+  return {
+    type: "json_schema",
+    name: "listing_repair",
+    strict: true,
+    schema: {
+      type: "object",
+      additionalProperties: false,
+      required: ["title", "bullets", "description", "backend_terms"],
+      properties: {
+        title: nullableString,
+        bullets: {
+          type: "array",
+          items: {
+            type: "object",
+            additionalProperties: false,
+            required: ["index", "text"],
+            properties: { index: { type: "integer" }, text: { type: "string" } },
+          },
+        },
+        description: nullableString,
+        backend_terms: nullableString,
+      },
+    },
+  };
+}
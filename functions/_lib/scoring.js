@@ -0,0 +1,153 @@
+import { collectIssues } from "./validate.js";
+import { languageCode } from "./marketplaces.js";
+
+// Variant scoring for multi-variant runs: which of VARIANT A/B/C to use. Every part is 0–100
+// (higher is better) and comes from the reports the listing already has, plus two text measures:
+//
+//   constraints  – validator issues (validate.js): -20 per error, -5 per warning
+//   keywords     – keyword coverage score (keywords.js), only with keyword research
+//   readability  – bullets + description: Flesch reading ease with the language's own
+//                  coefficients (de Amstad, fr Kandel–Moles, es Fernández Huerta, it Flesch–Vacca,
+//                  nl Douma); LIX for sv and pl. Mapped onto the range listing copy actually
+//                  spans (READABLE) – on the plain 0–100 scale every bullet-length sentence
+//                  lands near 0 and the part wouldn't tell variants apart
+//   uniqueness   – 100 minus the word-trigram overlap (Jaccard) with the closest other variant
+//   compliance   – compliance findings (compliance.js): -30 high, -15 medium, -5 low
+//
+// total = weighted mean of the parts there are (WEIGHTS).
+
+const WEIGHTS = { constraints: 0.25, compliance: 0.25, keywords: 0.2, readability: 0.15, uniqueness: 0.15 };
+
+// raw value → score 0 at the first number, 100 at the second (linear in between)
+const READABLE = {
+  flesch: [0, 70], // reading ease: 70+ reads easily, under 0 only the fine print
+  lix: [65, 30], // LIX: 30 and under easy, 65+ very hard
+};
+
+// reading ease = a - b × words per sentence - c × syllables per word
+const FLESCH = {
+  en: [206.835, 1.015, 84.6],
+  de: [180, 1, 58.5],
+  fr: [207, 1.015, 73.6],
+  es: [206.84, 1.02, 60],
+  it: [217, 1.3, 60],
+  nl: [206.835, 0.93, 77],
+};
+
+const VOWELS = /[aeiouyäöüàâæçéèêëîïôœùûÿáíóúñåąę]+/gu;
+
+// list + its reports → { best, variants: [{ label, total, constraints, keywords, readability, uniqueness, compliance }] }
+export function scoreVariants(list, { validation, compliance, keywords, marketplace }) {
+  const lang = languageCode(marketplace);
+  const shingles = list.map((v) => trigrams([v.title, ...(v.bullets || []), v.description].join(" ")));
+
+  const variants = list.map((v, i) => {
+    const issues = validation?.variants[i] ? collectIssues(validation.variants[i]) : [];
+    const errors = issues.filter((x) => x.severity === "error").length;
+    const warnings = issues.length - errors;
+
+    const findings = compliance?.variants[i]?.findings || [];
+    const flags = { high: 0, medium: 0, low: 0 };
+    for (const f of findings) flags[f.severity] = (flags[f.severity] || 0) + 1;
+
+    const parts = {
+      constraints: { score: clamp(100 - 20 * errors - 5 * warnings), errors, warnings },
+      keywords: keywords?.variants[i] ? { score: Math.round(keywords.variants[i].score) } : null,
+      readability: readability([...(v.bullets || []), v.description].join("\n"), lang),
+      uniqueness: uniqueness(shingles, i, list),
+      compliance: { score: clamp(100 - 30 * flags.high - 15 * flags.medium - 5 * flags.low), ...flags },
+    };
+
+    let sum = 0;
+    let weight = 0;
+    for (const [key, w] of Object.entries(WEIGHTS)) {
+      if (!parts[key]) continue;
+      sum += parts[key].score * w;
+      weight += w;
+    }
+    return { label: v.label || "", total: weight ? Math.round(sum / weight) : 0, ...parts };
+  });
+
+  const best = variants.reduce((a, b) => (b.total > a.total ? b : a), variants[0]);
+  return { best: best?.label || "", variants };
+}
+
+/* ---------------- READABILITY ---------------- */
+
+// { score, method: "flesch" | "lix", value, words_per_sentence } – null without text
+function readability(text, lang) {
+  // every bullet / paragraph ends a sentence even without a full stop
+  const sentences = String(text || "")
+    .split(/[.!?;:]+(?=\s|$)|\n+/)
+    .map((s) => words(s))
+    .filter((w) => w.length);
+  const all = sentences.flat();
+  if (!all.length) return null;
+
+  const wps = all.length / sentences.length;
+  if (lang === "sv" || lang === "pl") {
+    // LIX: words per sentence + % words over 6 letters; ~25 very easy, ~55 hard, 65+ very hard
+    const lix = wps + (100 * all.filter((w) => w.length > 6).length) / all.length;
+    return { score: readableScore("lix", lix), method: "lix", value: round1(lix), words_per_sentence: round1(wps) };
+  }
+  const [a, b, c] = FLESCH[lang] || FLESCH.en;
+  const spw = all.reduce((s, w) => s + syllables(w), 0) / all.length;
+  const ease = a - b * wps - c * spw;
+  return { score: readableScore("flesch", ease), method: "flesch", value: round1(ease), words_per_sentence: round1(wps) };
+}
+
+function readableScore(method, value) {
+  const [worst, best] = READABLE[method];
+  return clamp(Math.round((100 * (value - worst)) / (best - worst)));
+}
+
+// vowel groups – close enough for the Latin-script marketplace languages
+function syllables(word) {
+  return Math.max(1, (word.match(VOWELS) || []).length);
+}
+
+/* ---------------- UNIQUENESS ---------------- */
+
+// { score, closest, similarity } – null with a single variant
+function uniqueness(shingles, i, list) {
+  if (list.length < 2) return null;
+  let closest = null;
+  let max = 0;
+  shingles.forEach((other, j) => {
+    if (j === i) return;
+    const sim = jaccard(shingles[i], other);
+    if (closest === null || sim > max) {
+      max = sim;
+      closest = list[j].label || `#${j + 1}`;
+    }
+  });
+  return { score: clamp(Math.round(100 * (1 - max))), closest, similarity: round1(max * 100) / 100 };
+}
+
+function trigrams(text) {
+  const w = words(text);
+  const out = new Set();
+  for (let i = 0; i + 2 < w.length; i++) out.add(`${w[i]} ${w[i + 1]} ${w[i + 2]}`);
+  return out;
+}
+
+function jaccard(a, b) {
+  if (!a.size && !b.size) return 1;
+  let shared = 0;
+  for (const x of a) if (b.has(x)) shared++;
+  return shared / (a.size + b.size - shared);
+}
+
+/* ---------------- HELPERS ---------------- */
+
+function words(s) {
+  return String(s || "").toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+}
+
+function clamp(n) {
+  return Math.max(0, Math.min(100, n));
+}
+
+function round1(n) {
+  return Math.round(n * 10) / 10;
+}
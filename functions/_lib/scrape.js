@@ -0,0 +1,460 @@
+import { normalizeSpaces } from "./listing.js";
+import { stripTags, decodeHtmlEntities, cleanHtmlToText, truncate, escapeRegExp } from "./html.js";
+import { isAmazonUrl, looksLikeAmazonPage, parseAmazonPage } from "./amazon.js";
+
+// Product page scraping for /api/generate: when `user_prompt` is a URL, the page is fetched
+// and JSON-LD, meta tags and visible text become the product context for the prompt.
+// Amazon detail pages get the dedicated parser (amazon.js) instead of the raw page text.
+
+/* ---------------- URL SCRAPE / EXTRACT ---------------- */
+
+export function looksLikeUrl(s) {
+  return /^https?:\/\/\S+$/i.test(String(s || "").trim());
+}
+
+export function scrapeSettings(env) {
+  const n = Number(env?.SCRAPE_MAX_BYTES);
+  return {
+    maxBytes: env?.SCRAPE_MAX_BYTES && Number.isFinite(n) ? Math.max(100_000, Math.min(10_000_000, Math.floor(n))) : 3_000_000,
+    dnsCheck: !["0", "off", "false"].includes(String(env?.SCRAPE_DNS_CHECK ?? "").trim().toLowerCase()),
+  };
+}
+
+const MAX_REDIRECTS = 5;
+const HTML_TYPES = ["text/html", "application/xhtml+xml"];
+// pages without a charset that are not valid UTF-8: Central European TLDs → windows-1250, else windows-1252
+const CENTRAL_EUROPE = /\.(pl|cz|sk|hu|si|hr)$/i;
+
+// Redirects are followed by hand so every hop is checked against the blocklist (literal host,
+// then its DNS answers); the body is read up to `maxBytes` and decoded by its charset.
+// Throws on blocked hosts, non-HTML responses and too many redirects.
+export async function fetchProductContext(env, url, { timeoutMs = 15000 } = {}) {
+  const { maxBytes, dnsCheck } = scrapeSettings(env);
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), timeoutMs);
+
+  try {
+    let current = url;
+    let resp;
+    for (let hop = 0; ; hop++) {
+      const u = await checkTarget(current, { dnsCheck, signal: controller.signal });
+      resp = await fetch(u.href, {
+        method: "GET",
+        redirect: "manual",
+        signal: controller.signal,
+        headers: {
+          // леко помага срещу някои блокировки
+          "User-Agent": "Mozilla/5.0 (compatible; ListingBot/1.0)",
+          "Accept": "text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8",
+        },
+      });
+      if (![301, 302, 303, 307, 308].includes(resp.status)) break;
+
+      const location = resp.headers.get("location");
+      await resp.body?.cancel();
+      if (!location) throw new Error("Redirect without Location");
+      if (hop + 1 > MAX_REDIRECTS) throw new Error("Too many redirects");
+      current = new URL(location, u).href;
+    }
+
+    const contentType = (resp.headers.get("content-type") || "").toLowerCase();
+    const mime = contentType.split(";")[0].trim();
+    if (mime && !HTML_TYPES.includes(mime)) {
+      await resp.body?.cancel();
+      throw new Error(`Unsupported content type: ${mime}`);
+    }
+
+    const { bytes, truncated } = await readBody(resp, maxBytes);
+    const html = decodeBody(bytes, contentType, new URL(current).hostname);
+
+    const ctx = productContextFromHtml(html, { url: current, status: resp.status, contentType });
+    return { ...ctx, source_url: url, ...(current !== url ? { final_url: current } : {}), ...(truncated ? { truncated } : {}) };
+  } finally {
+    clearTimeout(timeout);
+  }
+}
+
+/* ---------------- SSRF CHECKS ---------------- */
+
+// Returns the parsed URL or throws – also used for image URLs handed to the model (vision.js)
+export async function checkTarget(url, { dnsCheck, signal }) {
+  let u;
+  try {
+    u = new URL(url);
+  } catch {
+    throw new Error("Invalid URL");
+  }
+  if (u.protocol !== "http:" && u.protocol !== "https:") throw new Error("Unsupported URL protocol");
+  if (u.username || u.password) throw new Error("URLs with credentials are not allowed");
+
+  const host = u.hostname.replace(/^\[|\]$/g, "").toLowerCase();
+  if (isBlockedHost(host)) throw new Error("Blocked host");
+
+  // a public name can still point at a private address
+  if (dnsCheck && parseIpv4(host) == null && parseIpv6(host) == null) {
+    const addresses = await resolveHost(host, signal);
+    if (!addresses.length) throw new Error("Unknown host");
+    if (addresses.some(isBlockedAddress)) throw new Error("Blocked host");
+  }
+  return u;
+}
+
+// Literal host check (no DNS) – also used for image URLs handed to the model (vision.js)
+export function isBlockedHost(hostname) {
+  const h = String(hostname || "").trim().toLowerCase().replace(/^\[|\]$/g, "").replace(/\.$/, "");
+  if (!h) return true;
+  if (h === "localhost" || /\.(localhost|local|internal|home\.arpa)$/.test(h)) return true;
+  // 0.0.0.0 parses to 0 – compare with null, not truthiness
+  if (parseIpv4(h) != null || parseIpv6(h) != null) return isBlockedAddress(h);
+  // single-label names only resolve inside a network
+  return !h.includes(".");
+}
+
+// IPv4 ranges that are not the public internet: this network, private, CGNAT, loopback,
+// link-local, IETF protocol assignments, documentation (TEST-NET-1/2/3), benchmarking,
+// multicast and reserved
+const BLOCKED_V4 = [
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.0.2.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["198.51.100.0", 24],
+  ["203.0.113.0", 24],
+  ["224.0.0.0", 4],
+  ["240.0.0.0", 4],
+].map(([net, bits]) => [parseIpv4(net), bits]);
+
+function isBlockedAddress(ip) {
+  const v4 = parseIpv4(ip);
+  if (v4 != null) return blockedV4(v4);
+
+  const g = parseIpv6(ip);
+  if (!g) return true;
+  const zeros = (from, to) => g.slice(from, to).every((x) => x === 0);
+  const embedded = (hi, lo) => ((hi << 16) | lo) >>> 0;
+
+  if (zeros(0, 7) && g[7] <= 1) return true; // :: and ::1
+  if ((g[0] & 0xfe00) === 0xfc00) return true; // fc00::/7 unique local
+  if ((g[0] & 0xffc0) === 0xfe80 || (g[0] & 0xffc0) === 0xfec0) return true; // link-local, site-local
+  if ((g[0] & 0xff00) === 0xff00) return true; // multicast
+  // addresses that carry an IPv4 address: mapped ::ffff:a.b.c.d, compatible ::a.b.c.d, NAT64, 6to4
+  if (zeros(0, 5) && (g[5] === 0xffff || g[5] === 0)) return blockedV4(embedded(g[6], g[7]));
+  if (g[0] === 0x64 && g[1] === 0xff9b && zeros(2, 6)) return blockedV4(embedded(g[6], g[7]));
+  if (g[0] === 0x2002) return blockedV4(embedded(g[1], g[2]));
+  return false;
+}
+
+function blockedV4(n) {
+  return BLOCKED_V4.some(([net, bits]) => (n >>> (32 - bits)) === (net >>> (32 - bits)));
+}
+
+// "a.b.c.d" → 32-bit number, else null
+function parseIpv4(s) {
+  const m = String(s).match(/^(\d{1,3})\.(\d{1,3})\.(\d{1,3})\.(\d{1,3})$/);
+  if (!m) return null;
+  const parts = m.slice(1).map(Number);
+  if (parts.some((x) => x > 255)) return null;
+  return ((parts[0] << 24) | (parts[1] << 16) | (parts[2] << 8) | parts[3]) >>> 0;
+}
+
+// IPv6 text (with "::" and an optional dotted IPv4 tail) → 8 groups, else null
+function parseIpv6(s) {
+  let str = String(s).split("%")[0];
+  if (!str.includes(":")) return null;
+
+  const tail = str.match(/:(\d{1,3}(?:\.\d{1,3}){3})$/);
+  if (tail) {
+    const v4 = parseIpv4(tail[1]);
+    if (v4 == null) return null;
+    str = `${str.slice(0, -tail[1].length)}${(v4 >>> 16).toString(16)}:${(v4 & 0xffff).toString(16)}`;
+  }
+
+  const halves = str.split("::");
+  if (halves.length > 2) return null;
+  const part = (x) => (x ? x.split(":") : []);
+  const head = part(halves[0]);
+  const rest = halves.length === 2 ? part(halves[1]) : [];
+  const fill = 8 - head.length - rest.length;
+  if (halves.length === 2 ? fill < 1 : fill !== 0) return null;
+
+  const groups = [...head, ...Array(halves.length === 2 ? fill : 0).fill("0"), ...rest];
+  if (groups.some((x) => !/^[0-9a-f]{1,4}$/i.test(x))) return null;
+  return groups.map((x) => parseInt(x, 16));
+}
+
+// A and AAAA records over DNS-over-HTTPS (Workers have no resolver API).
+// The fetch itself resolves the name again – this catches names that point into private
+// ranges, not a rebinding race.
+async function resolveHost(hostname, signal) {
+  const query = async (type) => {
+    const r = await fetch(`https://cloudflare-dns.com/dns-query?name=${encodeURIComponent(hostname)}&type=${type}`, {
+      headers: { Accept: "application/dns-json" },
+      signal,
+    });
+    if (!r.ok) throw new Error("DNS lookup failed");
+    const data = await r.json();
+    // 1 = A, 28 = AAAA (CNAME records in between are skipped)
+    return (data.Answer || []).filter((a) => a.type === 1 || a.type === 28).map((a) => String(a.data));
+  };
+  const [a, aaaa] = await Promise.all([query("A"), query("AAAA")]);
+  return [...a, ...aaaa];
+}
+
+/* ---------------- BODY ---------------- */
+
+// Reads at most maxBytes; the rest of the page is dropped (product data sits near the top)
+async function readBody(resp, maxBytes) {
+  if (!resp.body) return { bytes: new Uint8Array(await resp.arrayBuffer()).slice(0, maxBytes), truncated: false };
+
+  const reader = resp.body.getReader();
+  const chunks = [];
+  let size = 0;
+  let truncated = false;
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    if (size + value.byteLength > maxBytes) {
+      chunks.push(value.subarray(0, maxBytes - size));
+      size = maxBytes;
+      truncated = true;
+      await reader.cancel();
+      break;
+    }
+    chunks.push(value);
+    size += value.byteLength;
+  }
+
+  const bytes = new Uint8Array(size);
+  let offset = 0;
+  for (const c of chunks) {
+    bytes.set(c, offset);
+    offset += c.byteLength;
+  }
+  return { bytes, truncated };
+}
+
+// Charset from the Content-Type header, a BOM or the page's <meta charset>; undeclared pages
+// that are not valid UTF-8 get the legacy encoding of their region
+function decodeBody(bytes, contentType, hostname) {
+  const bom =
+    bytes[0] === 0xef && bytes[1] === 0xbb && bytes[2] === 0xbf
+      ? "utf-8"
+      : bytes[0] === 0xff && bytes[1] === 0xfe
+        ? "utf-16le"
+        : bytes[0] === 0xfe && bytes[1] === 0xff
+          ? "utf-16be"
+          : "";
+  const head = new TextDecoder("windows-1252").decode(bytes.subarray(0, 4096));
+  const declared =
+    bom ||
+    (contentType.match(/charset\s*=\s*["']?([\w.:-]+)/i) || [])[1] ||
+    (head.match(/<meta[^>]+charset\s*=\s*["']?\s*([\w.:-]+)/i) || [])[1];
+
+  if (declared) {
+    try {
+      return new TextDecoder(declared.toLowerCase()).decode(bytes);
+    } catch {
+      // unknown label – guess below
+    }
+  }
+  try {
+    return new TextDecoder("utf-8", { fatal: true }).decode(bytes);
+  } catch {
+    return new TextDecoder(CENTRAL_EUROPE.test(hostname) ? "windows-1250" : "windows-1252").decode(bytes);
+  }
+}
+
+/* ---------------- PAGE → CONTEXT ---------------- */
+
+// Fetched page or saved HTML (competitor pages, competitors.js) → product context
+export function productContextFromHtml(html, { url = "", status = 0, contentType = "" } = {}) {
+  const pageTitle = extractTagText(html, "title");
+  const metaDescription = extractMetaContent(html, "description");
+  const h1 = extractFirstH1(html);
+
+  const jsonLdBlocks = extractJsonLdBlocks(html);
+  const productLd = findFirstProductJsonLd(jsonLdBlocks);
+
+  const amazon = isAmazonUrl(url) || looksLikeAmazonPage(html) ? parseAmazonPage(html, url) : null;
+
+  // Fallback: cleaned visible text (truncated)
+  const cleanedText = cleanHtmlToText(html);
+
+  return {
+    source_url: url,
+    status,
+    content_type: contentType,
+    page_title: pageTitle,
+    meta_description: metaDescription,
+    h1,
+    product_jsonld: productLd,
+    amazon: amazon?.title ? amazon : null,
+    extracted_text: cleanedText,
+  };
+}
+
+export function buildProductContextText(ctx) {
+  const lines = [];
+  lines.push(`SOURCE URL: ${ctx.source_url}`);
+  if (ctx.status) lines.push(`HTTP STATUS: ${ctx.status}`);
+  if (ctx.page_title) lines.push(`PAGE TITLE: ${ctx.page_title}`);
+  if (ctx.h1) lines.push(`H1: ${ctx.h1}`);
+  if (ctx.meta_description) lines.push(`META DESCRIPTION: ${ctx.meta_description}`);
+
+  if (ctx.product_jsonld) {
+    const p = ctx.product_jsonld;
+    lines.push("");
+    lines.push("STRUCTURED PRODUCT DATA (JSON-LD):");
+    if (p.name) lines.push(`Name: ${p.name}`);
+    if (p.brand) lines.push(`Brand: ${p.brand}`);
+    if (p.sku) lines.push(`SKU: ${p.sku}`);
+    if (p.gtin) lines.push(`GTIN: ${p.gtin}`);
+    if (p.mpn) lines.push(`MPN: ${p.mpn}`);
+    if (p.category) lines.push(`Category: ${p.category}`);
+    if (p.description) lines.push(`Description: ${p.description}`);
+    if (p.price || p.currency) lines.push(`Price: ${p.price || ""} ${p.currency || ""}`.trim());
+    if (p.availability) lines.push(`Availability: ${p.availability}`);
+    if (p.url) lines.push(`Offer URL: ${p.url}`);
+    if (Array.isArray(p.images) && p.images.length) lines.push(`Images: ${p.images.slice(0, 5).join(" | ")}`);
+  }
+
+  if (ctx.amazon) {
+    const a = ctx.amazon;
+    lines.push("");
+    lines.push("AMAZON PRODUCT PAGE:");
+    if (a.asin) lines.push(`ASIN: ${a.asin}`);
+    lines.push(`Title: ${a.title}`);
+    if (a.brand) lines.push(`Brand: ${a.brand}`);
+    if (a.bullets.length) lines.push("Bullet points:", ...a.bullets.map((b) => `- ${b}`));
+    if (a.description) lines.push(`Description: ${truncate(a.description, 3000)}`);
+    const details = Object.entries(a.technical_details);
+    if (details.length) lines.push("Technical details:", ...details.map(([k, v]) => `- ${k}: ${v}`));
+    if (a.bsr.length) lines.push(`Best Sellers Rank: ${a.bsr.map((r) => `#${r.rank} in ${r.category}`).join("; ")}`);
+  }
+
+  // the parsed Amazon fields already hold the listing – the rest of the page is navigation and ads
+  if (ctx.extracted_text && !ctx.amazon) {
+    lines.push("");
+    lines.push("EXTRACTED PAGE TEXT (cleaned):");
+    lines.push(truncate(ctx.extracted_text, 9000));
+  }
+
+  const out = lines.join("\n").trim();
+  return truncate(out, 12000);
+}
+
+function extractTagText(html, tag) {
+  const re = new RegExp(`<${tag}[^>]*>([\\s\\S]*?)<\\/${tag}>`, "i");
+  const m = String(html || "").match(re);
+  if (!m) return "";
+  return normalizeSpaces(decodeHtmlEntities(stripTags(m[1])));
+}
+
+function extractFirstH1(html) {
+  const re = /<h1[^>]*>([\s\S]*?)<\/h1>/i;
+  const m = String(html || "").match(re);
+  if (!m) return "";
+  return normalizeSpaces(decodeHtmlEntities(stripTags(m[1])));
+}
+
+function extractMetaContent(html, name) {
+  const s = String(html || "");
+  // meta name="description" content="..."
+  const re1 = new RegExp(`<meta[^>]+name=["']${escapeRegExp(name)}["'][^>]*>`, "i");
+  const tag = (s.match(re1) || [])[0] || "";
+  if (!tag) return "";
+  const m = tag.match(/content=["']([^"']+)["']/i);
+  return m ? normalizeSpaces(decodeHtmlEntities(m[1])) : "";
+}
+
+function extractJsonLdBlocks(html) {
+  const s = String(html || "");
+  const re = /<script[^>]*type=["']application\/ld\+json["'][^>]*>([\s\S]*?)<\/script>/gi;
+  const out = [];
+  let m;
+  while ((m = re.exec(s)) !== null) {
+    const raw = String(m[1] || "").trim();
+    if (!raw) continue;
+    const cleaned = raw.replace(/^\s*<!--/, "").replace(/-->\s*$/, "").trim();
+    try {
+      out.push(JSON.parse(cleaned));
+    } catch {
+      // Some sites put multiple JSON objects or invalid JSON; ignore silently
+    }
+  }
+  return out;
+}
+
+function findFirstProductJsonLd(blocks) {
+  const candidates = [];
+
+  for (const b of blocks || []) {
+    collectJsonLdNodes(b, candidates);
+  }
+
+  // find first Product
+  for (const node of candidates) {
+    const t = String(node?.["@type"] || "").toLowerCase();
+    if (t === "product" || (Array.isArray(node?.["@type"]) && node["@type"].some(x => String(x).toLowerCase() === "product"))) {
+      return normalizeProductLd(node);
+    }
+  }
+  return null;
+}
+
+function collectJsonLdNodes(node, out) {
+  if (!node) return;
+
+  if (Array.isArray(node)) {
+    for (const x of node) collectJsonLdNodes(x, out);
+    return;
+  }
+
+  if (typeof node === "object") {
+    out.push(node);
+    if (node["@graph"]) collectJsonLdNodes(node["@graph"], out);
+    // also scan nested objects lightly
+    for (const k of Object.keys(node)) {
+      const v = node[k];
+      if (v && typeof v === "object") collectJsonLdNodes(v, out);
+    }
+  }
+}
+
+function normalizeProductLd(p) {
+  const brand = p?.brand?.name || p?.brand || "";
+  const offers = Array.isArray(p?.offers) ? p.offers[0] : p?.offers;
+  const availability = offers?.availability || "";
+  const price = offers?.price || offers?.lowPrice || "";
+  const currency = offers?.priceCurrency || "";
+  const offerUrl = offers?.url || "";
+
+  // common GTIN fields
+  const gtin = p?.gtin13 || p?.gtin12 || p?.gtin14 || p?.gtin8 || p?.gtin || "";
+
+  const images = [];
+  const img = p?.image;
+  if (typeof img === "string") images.push(img);
+  else if (Array.isArray(img)) images.push(...img.filter(x => typeof x === "string"));
+
+  return {
+    name: normalizeSpaces(decodeHtmlEntities(String(p?.name || ""))),
+    description: normalizeSpaces(decodeHtmlEntities(stripTags(String(p?.description || "")))),
+    brand: normalizeSpaces(decodeHtmlEntities(String(brand || ""))),
+    sku: normalizeSpaces(String(p?.sku || "")),
+    mpn: normalizeSpaces(String(p?.mpn || "")),
+    gtin: normalizeSpaces(String(gtin || "")),
+    category: normalizeSpaces(decodeHtmlEntities(String(p?.category || ""))),
+    price: normalizeSpaces(String(price || "")),
+    currency: normalizeSpaces(String(currency || "")),
+    availability: normalizeSpaces(String(availability || "")),
+    url: normalizeSpaces(String(offerUrl || "")),
+    images: images.map(x => String(x)).filter(Boolean),
+  };
+}
@@ -0,0 +1,64 @@
+/* ---------------- SERVER-SENT EVENTS ---------------- */
+
+// Streaming response for the browser: `event: <name>\ndata: <json>\n\n` per message.
+// `signal` aborts when the client goes away (fetch aborted, tab closed) or `requestSignal`
+// fires – pass it on to upstream calls so they stop too.
+export function eventStream(requestSignal) {
+  const { readable, writable } = new TransformStream();
+  const writer = writable.getWriter();
+  const encoder = new TextEncoder();
+  const cancel = new AbortController();
+
+  writer.closed.catch(() => cancel.abort());
+  requestSignal?.addEventListener?.("abort", () => cancel.abort());
+
+  // not awaited: writes queue up until the client reads them
+  const send = (event, data) => {
+    if (cancel.signal.aborted) return;
+    writer.write(encoder.encode(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`)).catch(() => cancel.abort());
+  };
+  const close = () => writer.close().catch(() => {});
+
+  const response = new Response(readable, {
+    headers: {
+      "Content-Type": "text/event-stream; charset=utf-8",
+      "Cache-Control": "no-cache, no-transform",
+      "X-Accel-Buffering": "no",
+    },
+  });
+
+  return { response, send, close, signal: cancel.signal };
+}
+
+// Reads an SSE body (e.g. OpenAI's streaming Responses API) and calls onEvent({ event, data })
+// per message; `data` is the raw string (multi-line data joined with "\n").
+export async function readEventStream(body, onEvent) {
+  const reader = body.getReader();
+  const decoder = new TextDecoder();
+  let buf = "";
+
+  const flush = (block) => {
+    let event = "message";
+    const data = [];
+    for (const line of block.split(/\r?\n/)) {
+      if (line.startsWith("event:")) event = line.slice(6).trim();
+      else if (line.startsWith("data:")) data.push(line.slice(5).replace(/^ /, ""));
+    }
+    if (data.length) onEvent({ event, data: data.join("\n") });
+  };
+
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    buf += decoder.decode(value, { stream: true });
+
+    let cut;
+    while ((cut = buf.search(/\r?\n\r?\n/)) !== -1) {
+      const block = buf.slice(0, cut);
+      buf = buf.slice(cut).replace(/^\r?\n\r?\n/, "");
+      flush(block);
+    }
+  }
+  buf += decoder.decode();
+  if (buf.trim()) flush(buf);
+}
@@ -0,0 +1,72 @@
+// Small KV-style store.
+// With a Workers KV binding (APP_KV) data is persistent; without it we fall back to an
+// in-memory Map that lives as long as the isolate – good enough for `wrangler pages dev`.
+
+const memory = new Map(); // key -> { value, expiresAt }
+
+export function getStore(env) {
+  if (env?.APP_KV) return kvStore(env.APP_KV);
+  return memoryStore;
+}
+
+export function isPersistentStore(env) {
+  return !!env?.APP_KV;
+}
+
+function kvStore(kv) {
+  return {
+    async getJson(key) {
+      return (await kv.get(key, "json")) ?? null;
+    },
+    async putJson(key, value, { ttl } = {}) {
+      const opts = {};
+      // KV rejects TTLs under 60s
+      if (ttl) opts.expirationTtl = Math.max(60, Math.ceil(ttl));
+      await kv.put(key, JSON.stringify(value), opts);
+    },
+    async delete(key) {
+      await kv.delete(key);
+    },
+    async list(prefix) {
+      const keys = [];
+      let cursor;
+      do {
+        const page = await kv.list({ prefix, cursor });
+        for (const k of page.keys || []) keys.push(k.name);
+        cursor = page.list_complete ? undefined : page.cursor;
+      } while (cursor);
+      return keys;
+    },
+  };
+}
+
+const memoryStore = {
+  async getJson(key) {
+    const hit = memory.get(key);
+    if (!hit) return null;
+    if (hit.expiresAt && hit.expiresAt <= Date.now()) {
+      memory.delete(key);
+      return null;
+    }
+    // return a copy so callers can't mutate the stored value by accident
+    return JSON.parse(hit.value);
+  },
+  async putJson(key, value, { ttl } = {}) {
+    memory.set(key, {
+      value: JSON.stringify(value),
+      expiresAt: ttl ? Date.now() + ttl * 1000 : 0,
+    });
+  },
+  async delete(key) {
+    memory.delete(key);
+  },
+  async list(prefix) {
+    const now = Date.now();
+    const keys = [];
+    for (const [k, v] of memory) {
+      if (v.expiresAt && v.expiresAt <= now) continue;
+      if (k.startsWith(prefix)) keys.push(k);
+    }
+    return keys.sort();
+  },
+};
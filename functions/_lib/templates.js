@@ -0,0 +1,174 @@
+import { termRegExp } from "./listing.js";
+
+// Category-specific listing templates: title structure, bullet label style and forbidden terms.
+// `product_type` is the default flat-file feed_product_type (export) – a broad one; the
+// category template in Seller Central may want a more specific value.
+// `keywords` are lowercase words/phrases (whole-word match) used to auto-detect the category from a JSON-LD
+// `category` value (e.g. "Beauty > Skin Care > Serums") or, as a fallback, the product text.
+
+export const DEFAULT_CATEGORY = "general";
+
+export const CATEGORY_TEMPLATES = {
+  beauty: {
+    name: "Beauty & Personal Care",
+    product_type: "BEAUTY",
+    title_structure:
+      "BRAND PRODUCT_LINE PRODUCT_TYPE VOLUME ml for AREA + MAIN NEED, with ACTIVE_1 & ACTIVE_2, SKIN_TYPE, KEY BENEFIT",
+    title_notes: ['Use the en dash "–" and the separators "+" and "|" and parentheses "()" exactly as shown.'],
+    title_length: [185, 200],
+    bullet_label_style: "a SHORT UPPERCASE benefit label + colon, then the text",
+    bullet_example: "✅ HEAT PROTECTION: ...",
+    forbidden_terms: ["cures", "heals", "anti-aging guarantee", "miracle", "best", "#1", "cheap"],
+    keywords: [
+      "beauty", "cosmetic", "skin care", "skincare", "hair care", "makeup", "serum", "cream", "lotion", "shampoo",
+      "schönheit", "kosmetik", "hautpflege", "haarpflege", "beauté", "cosmétique", "bellezza", "cosmetica",
+      "belleza", "cosmética", "schoonheid", "verzorging", "uroda", "kosmetyki", "skönhet", "hudvård",
+    ],
+  },
+
+  home_kitchen: {
+    name: "Home & Kitchen",
+    product_type: "HOME",
+    title_structure: "BRAND PRODUCT_LINE PRODUCT_TYPE, MATERIAL, SIZE/CAPACITY, KEY FEATURE – USE CASE (PACK SIZE)",
+    title_notes: ["Use metric units (cm, l, ml) as sold on the marketplace."],
+    title_length: [150, 200],
+    bullet_label_style: "a SHORT UPPERCASE feature label (material, size, care, use) + colon, then the text",
+    bullet_example: "✅ FOOD-SAFE STAINLESS STEEL: ...",
+    forbidden_terms: ["non-toxic", "antibacterial", "indestructible", "100% safe", "best", "#1", "cheap"],
+    keywords: [
+      "home & kitchen", "kitchen", "cookware", "bakeware", "tableware", "household", "home", "furniture", "storage",
+      "küche", "haushalt", "wohnen", "cuisine", "maison", "cucina", "casa", "cocina", "hogar", "keuken", "wonen",
+      "kuchnia", "dom", "kök", "hem",
+    ],
+  },
+
+  electronics: {
+    name: "Electronics",
+    product_type: "CONSUMER_ELECTRONICS",
+    title_structure: "BRAND MODEL PRODUCT_TYPE, KEY SPEC 1, KEY SPEC 2, CONNECTIVITY, COMPATIBILITY – COLOR",
+    title_notes: ["Write specs with units exactly as on the spec sheet (e.g. 65W, 10000mAh, Bluetooth 5.3)."],
+    title_length: [150, 200],
+    bullet_label_style: "a SHORT UPPERCASE spec or feature label + colon, then the text",
+    bullet_example: "🔋 40H BATTERY LIFE: ...",
+    forbidden_terms: ["military grade", "unbreakable", "universal compatibility", "lifetime warranty", "best", "#1", "cheap"],
+    keywords: [
+      "electronics", "computer", "phone", "headphone", "speaker", "charger", "cable", "camera", "audio", "gaming",
+      "elektronik", "électronique", "informatique", "elettronica", "electrónica", "elektronica", "elektronika",
+    ],
+  },
+
+  apparel: {
+    name: "Clothing, Shoes & Jewelry",
+    product_type: "APPAREL",
+    title_structure: "BRAND DEPARTMENT PRODUCT_TYPE STYLE, MATERIAL, FIT – COLOR",
+    title_notes: ["Do not put size in the title – sizes are child variations.", "Keep it short; apparel titles are truncated early."],
+    title_length: [80, 125],
+    bullet_label_style: "a SHORT UPPERCASE label (fabric, fit, care, occasion) + colon, then the text",
+    bullet_example: "✅ SOFT ORGANIC COTTON: ...",
+    forbidden_terms: ["slimming", "anti-cellulite", "fits everyone", "one size fits all", "best", "#1", "cheap"],
+    keywords: [
+      "clothing", "apparel", "fashion", "shoes", "jewelry", "jewellery", "shirt", "dress", "jacket", "socks",
+      "bekleidung", "schuhe", "schmuck", "vêtements", "chaussures", "abbigliamento", "scarpe", "ropa", "zapatos",
+      "kleding", "schoenen", "odzież", "buty", "kläder", "skor",
+    ],
+  },
+
+  supplements: {
+    name: "Health & Supplements",
+    product_type: "HEALTH_PERSONAL_CARE",
+    title_structure:
+      "BRAND PRODUCT_NAME – ACTIVE_INGREDIENT DOSE per serving, COUNT CAPSULES/TABLETS, SUPPLY_DAYS, DIET FLAGS (vegan, gluten-free)",
+    title_notes: ["Dose and count must match the label exactly."],
+    title_length: [150, 200],
+    bullet_label_style: "a SHORT UPPERCASE label (ingredient, dose, quality, usage) + colon, then the text",
+    bullet_example: "✅ HIGH-DOSE VITAMIN D3: ...",
+    forbidden_terms: [
+      "cures", "treats", "prevents", "heals", "detox", "boosts immunity", "clinically proven", "doctor recommended",
+      "fda approved", "best", "#1",
+    ],
+    keywords: [
+      "supplement", "supplements", "vitamin", "vitamins", "mineral", "capsules", "tablets", "protein", "probiotic", "nutrition", "health",
+      "nahrungsergänzung", "vitamine", "kapseln", "complément alimentaire", "integratore", "integratori",
+      "suplemento", "voedingssupplement", "suplement", "kosttillskott",
+    ],
+  },
+
+  general: {
+    name: "General",
+    product_type: "",
+    title_structure: "BRAND PRODUCT_LINE PRODUCT_TYPE – KEY FEATURE, MATERIAL/SIZE, USE CASE (PACK SIZE)",
+    title_notes: [],
+    title_length: [150, 200],
+    bullet_label_style: "a SHORT UPPERCASE label + colon, then the text",
+    bullet_example: "✅ KEY BENEFIT: ...",
+    forbidden_terms: ["best", "#1", "cheap", "free shipping"],
+    keywords: [],
+  },
+};
+
+export function isKnownCategory(id) {
+  return Object.prototype.hasOwnProperty.call(CATEGORY_TEMPLATES, id);
+}
+
+export function getTemplate(id) {
+  return CATEGORY_TEMPLATES[isKnownCategory(id) ? id : DEFAULT_CATEGORY];
+}
+
+// Picks the template for a request.
+// requested: a category id, or "auto"/"" to detect from JSON-LD category, then from product text.
+// Returns { id, source: "request" | "jsonld" | "prompt" | "default" }.
+export function resolveCategory(requested, { jsonldCategory = "", productText = "" } = {}) {
+  const r = String(requested || "").trim().toLowerCase();
+  if (r && r !== "auto") return { id: r, source: "request" };
+
+  const fromLd = detectCategory(jsonldCategory);
+  if (fromLd) return { id: fromLd, source: "jsonld" };
+
+  const fromText = detectCategory(productText);
+  if (fromText) return { id: fromText, source: "prompt" };
+
+  return { id: DEFAULT_CATEGORY, source: "default" };
+}
+
+// Highest keyword-hit count wins; ties go to the first template
+export function detectCategory(text) {
+  const s = String(text || "");
+  if (!s.trim()) return "";
+
+  let best = "";
+  let bestHits = 0;
+  for (const [id, tpl] of Object.entries(CATEGORY_TEMPLATES)) {
+    let hits = 0;
+    for (const k of tpl.keywords) if (termRegExp(k).test(s)) hits++;
+    if (hits > bestHits) {
+      best = id;
+      bestHits = hits;
+    }
+  }
+  return best;
+}
+
+/* ---------------- PROMPT BLOCKS ---------------- */
+
+// length: optional [min, max] from the constraint profile, else the template's own
+export function titleRulesText(tpl, length) {
+  const [min, max] = length || tpl.title_length;
+  return [
+    "TITLE RULES:",
+    "- Title MUST follow this exact structure:",
+    `  ${tpl.title_structure}`,
+    ...tpl.title_notes.map((n) => `- ${n}`),
+    "- Keep it clear and readable (no keyword stuffing).",
+    `- Aim ~${min}–${max} characters total.`,
+  ].join("\n");
+}
+
+export function bulletStyleText(tpl) {
+  return `- Each bullet must start with: ${tpl.bullet_label_style}.
+  Example format: "${tpl.bullet_example}"`;
+}
+
+export function forbiddenTermsText(tpl) {
+  if (!tpl.forbidden_terms.length) return "";
+  return `- Never use these terms (or their translations): ${tpl.forbidden_terms.join(", ")}`;
+}
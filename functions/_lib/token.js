@@ -0,0 +1,128 @@
+export const TOKEN_VERSION = 2; // v2: carries sub (user id), role and jti
+export const TOKEN_TTL_SECONDS = 7 * 24 * 60 * 60;
+
+/* ---------------- SIGN / VERIFY ---------------- */
+
+export async function signToken(env, claims = {}) {
+  const nowMs = Date.now();
+  const now = Math.floor(nowMs / 1000);
+  const payloadObj = {
+    v: TOKEN_VERSION,
+    jti: crypto.randomUUID(),
+    iat: now,
+    // compared with the user's tokens_valid_after (ms) – see auth.js
+    iat_ms: nowMs,
+    exp: now + TOKEN_TTL_SECONDS,
+    ...claims,
+  };
+  const payloadB64 = base64UrlEncode(new TextEncoder().encode(JSON.stringify(payloadObj)));
+
+  const sigB64 = await hmacSha256Base64Url(env.ACCESS_TOKEN_SECRET, payloadB64);
+  return { token: `${payloadB64}.${sigB64}`, payload: payloadObj };
+}
+
+// Returns { ok: true, payload } or { ok: false, error }.
+// Accepts the current secret and, during the rotation grace period, any of the previous ones.
+export async function verifyToken(env, token) {
+  const parts = String(token || "").split(".");
+  if (parts.length !== 2 || !parts[0] || !parts[1]) return { ok: false, error: "Malformed token" };
+  const [payloadB64, sigB64] = parts;
+
+  let signed = false;
+  for (const secret of verificationSecrets(env)) {
+    const expected = await hmacSha256Base64Url(secret, payloadB64);
+    if (timingSafeEqual(expected, sigB64)) {
+      signed = true;
+      break;
+    }
+  }
+  if (!signed) return { ok: false, error: "Invalid token signature" };
+
+  let payload;
+  try {
+    payload = JSON.parse(new TextDecoder().decode(base64UrlDecode(payloadB64)));
+  } catch {
+    return { ok: false, error: "Malformed token" };
+  }
+
+  if (payload?.v !== TOKEN_VERSION) return { ok: false, error: "Unsupported token version" };
+
+  const now = Math.floor(Date.now() / 1000);
+  if (!Number.isFinite(payload.exp) || payload.exp <= now) return { ok: false, error: "Token expired" };
+
+  return { ok: true, payload };
+}
+
+// ACCESS_TOKEN_SECRET signs new tokens. Old keys go to ACCESS_TOKEN_SECRET_PREVIOUS
+// (comma-separated) and stay valid until ACCESS_TOKEN_PREVIOUS_UNTIL (ISO date or unix seconds).
+// Without that end date they are not accepted at all – an open-ended grace period would keep
+// a leaked key working after the rotation.
+function verificationSecrets(env) {
+  const out = [String(env.ACCESS_TOKEN_SECRET)];
+
+  const previous = String(env.ACCESS_TOKEN_SECRET_PREVIOUS || "")
+    .split(",")
+    .map((s) => s.trim())
+    .filter(Boolean);
+  if (!previous.length) return out;
+
+  const until = parseUntil(env.ACCESS_TOKEN_PREVIOUS_UNTIL);
+  if (until === null || Date.now() > until) return out;
+
+  return out.concat(previous);
+}
+
+function parseUntil(raw) {
+  const s = String(raw || "").trim();
+  if (!s) return null;
+  if (/^\d+$/.test(s)) return Number(s) * 1000;
+  const t = Date.parse(s);
+  // Unparseable value → treat the grace period as over rather than open-ended
+  return Number.isFinite(t) ? t : 0;
+}
+
+/* ---------------- CRYPTO HELPERS ---------------- */
+
+export async function hmacSha256Base64Url(secret, message) {
+  const key = await crypto.subtle.importKey(
+    "raw",
+    new TextEncoder().encode(secret),
+    { name: "HMAC", hash: "SHA-256" },
+    false,
+    ["sign"]
+  );
+
+  const sig = await crypto.subtle.sign(
+    "HMAC",
+    key,
+    new TextEncoder().encode(message)
+  );
+
+  return base64UrlEncode(new Uint8Array(sig));
+}
+
+export function base64UrlEncode(bytes) {
+  let binary = "";
+  for (let i = 0; i < bytes.length; i++) binary += String.fromCharCode(bytes[i]);
+  return btoa(binary).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/g, "");
+}
+
+export function base64UrlDecode(str) {
+  const b64 = String(str || "").replace(/-/g, "+").replace(/_/g, "/");
+  const binary = atob(b64 + "===".slice((b64.length + 3) % 4));
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+  return bytes;
+}
+
+// Constant-time-ish compare (за да няма лесен timing leak)
+export function timingSafeEqual(a, b) {
+  a = String(a);
+  b = String(b);
+  const len = Math.max(a.length, b.length);
+  let diff = a.length ^ b.length;
+  for (let i = 0; i < len; i++) {
+    diff |= (a.charCodeAt(i) || 0) ^ (b.charCodeAt(i) || 0);
+  }
+  return diff === 0;
+}
@@ -0,0 +1,112 @@
+import { base64UrlEncode, base64UrlDecode, timingSafeEqual } from "./token.js";
+
+// Roles are ordered: every role can do what the ones before it can.
+export const ROLES = ["viewer", "editor", "admin"];
+
+const USER_PREFIX = "user:";
+const PBKDF2_ITERATIONS = 100000; // Workers cap PBKDF2 at 100k iterations
+
+export function normalizeUsername(name) {
+  return String(name || "").trim().toLowerCase();
+}
+
+export function isValidUsername(name) {
+  return /^[a-z0-9][a-z0-9._-]{1,47}$/.test(name);
+}
+
+export function isValidRole(role) {
+  return ROLES.includes(role);
+}
+
+export function hasRole(role, required) {
+  const have = ROLES.indexOf(role);
+  return have !== -1 && have >= ROLES.indexOf(required);
+}
+
+/* ---------------- STORE ACCESS ---------------- */
+
+export async function getUser(store, username) {
+  const id = normalizeUsername(username);
+  if (!id) return null;
+  return store.getJson(USER_PREFIX + id);
+}
+
+export async function saveUser(store, user) {
+  user.updated_at = new Date().toISOString();
+  await store.putJson(USER_PREFIX + user.id, user);
+  return user;
+}
+
+export async function deleteUser(store, username) {
+  await store.delete(USER_PREFIX + normalizeUsername(username));
+}
+
+export async function listUsers(store) {
+  const keys = await store.list(USER_PREFIX);
+  const users = [];
+  for (const k of keys) {
+    const u = await store.getJson(k);
+    if (u) users.push(u);
+  }
+  return users;
+}
+
+export async function createUser(store, { username, password, role }) {
+  const id = normalizeUsername(username);
+  const now = new Date().toISOString();
+  return saveUser(store, {
+    id,
+    username: id,
+    role,
+    password_hash: await hashPassword(password),
+    disabled: false,
+    tokens_valid_after: 0,
+    created_at: now,
+  });
+}
+
+// What we are willing to send back to the UI
+export function publicUser(u) {
+  return {
+    id: u.id,
+    username: u.username,
+    role: u.role,
+    disabled: !!u.disabled,
+    limits: u.limits || {},
+    created_at: u.created_at,
+    updated_at: u.updated_at,
+  };
+}
+
+/* ---------------- PASSWORD HASHING ---------------- */
+
+// Format: pbkdf2-sha256$<iterations>$<salt>$<hash> (base64url)
+export async function hashPassword(password, iterations = PBKDF2_ITERATIONS) {
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const hash = await pbkdf2(password, salt, iterations);
+  return `pbkdf2-sha256$${iterations}$${base64UrlEncode(salt)}$${base64UrlEncode(hash)}`;
+}
+
+export async function verifyPassword(password, stored) {
+  const [scheme, iter, saltB64, hashB64] = String(stored || "").split("$");
+  if (scheme !== "pbkdf2-sha256" || !iter || !saltB64 || !hashB64) return false;
+
+  const hash = await pbkdf2(password, base64UrlDecode(saltB64), Number(iter));
+  return timingSafeEqual(base64UrlEncode(hash), hashB64);
+}
+
+async function pbkdf2(password, salt, iterations) {
+  const key = await crypto.subtle.importKey(
+    "raw",
+    new TextEncoder().encode(String(password)),
+    "PBKDF2",
+    false,
+    ["deriveBits"]
+  );
+  const bits = await crypto.subtle.deriveBits(
+    { name: "PBKDF2", hash: "SHA-256", salt, iterations },
+    key,
+    256
+  );
+  return new Uint8Array(bits);
+}
@@ -0,0 +1,264 @@
+import { normalizeSpaces, variantsFromText, termRegExp } from "./listing.js";
+
+/* ---------------- VALIDATION ---------------- */
+// cfg (see profiles.js → profileToCfg, plus per-request values):
+//   BULLET_COUNT, BULLET_MIN, BULLET_MAX, DESC_MIN, DESC_MAX
+//   TITLE_MIN, TITLE_MAX          – title length (chars); over max is an error, under min a warning
+//   BACKEND_MAX_BYTES             – Amazon counts backend search terms in UTF-8 bytes (249)
+//   BRAND_NAME                    – must not appear in backend terms
+//   FORBIDDEN_TERMS               – template terms, not allowed in any field
+//   BANNED_TERMS                  – brand profile words, not allowed in any field (brands.js)
+//   GLOSSARY                      – brand terminology [{ term, avoid }]: no `avoid` wording outside
+//                                   the backend terms (alternative spellings are what they are for)
+//
+// Issues with severity "error" fail validation (and trigger repairs); "warning" is report-only.
+
+// Amazon title policy: these characters are rejected unless part of the brand name
+export const TITLE_FORBIDDEN_CHARS = ["!", "$", "?", "_", "{", "}", "^", "¬", "¦"];
+const TITLE_MAX_WORD_REPEAT = 2;
+// Short function words don't count towards the repeat limit (EN/DE/FR/IT/ES/NL/PL/SE)
+const TITLE_REPEAT_IGNORE = new Set([
+  "and", "for", "with", "the", "und", "für", "mit", "der", "die", "das", "von", "pour", "avec", "les", "des",
+  "per", "con", "para", "los", "las", "del", "voor", "met", "het", "van", "dla", "och", "för", "med", "den", "det",
+]);
+
+const EMOJI_RE = /\p{Extended_Pictographic}/gu;
+
+// Plain-text output (A–D blocks)
+export function validateOutput(text, cfg) {
+  return validateVariants(variantsFromText(text), cfg);
+}
+
+// Returns { ok, errors: ["VARIANT A: ...", ...], report } – `errors` feeds the repair prompt,
+// `report` is the per-field structure that goes back to the client as `validation`.
+export function validateVariants(variants, cfg) {
+  const report = buildValidationReport(variants, cfg);
+  const errors = [];
+  for (const v of report.variants) {
+    const label = v.label || "OUTPUT";
+    for (const issue of collectIssues(v)) {
+      if (issue.severity === "error") errors.push(`${label}: ${issue.message}`);
+    }
+  }
+  return { ok: errors.length === 0, errors, report };
+}
+
+export function buildValidationReport(variants, cfg) {
+  const out = variants.map((v) => {
+    const fields = {
+      title: checkTitle(v, cfg),
+      bullets: checkBullets(v, cfg),
+      description: checkDescription(v, cfg),
+      backend_terms: checkBackend(v, cfg),
+    };
+    checkForbiddenTerms(v, fields, cfg);
+    for (const item of fields.bullets.items) item.ok = !hasError(item.issues);
+    for (const f of Object.values(fields)) f.ok = !hasError(f.issues) && (f.items || []).every((i) => i.ok);
+
+    const ok = Object.values(fields).every((f) => f.ok);
+    return { label: v.label || "", ok, fields };
+  });
+
+  return { ok: out.every((v) => v.ok), variants: out };
+}
+
+// The limits behind the length checks, for the editor's counters (/api/validate)
+export function validationLimits(cfg) {
+  return {
+    title_min: cfg.TITLE_MIN || 0,
+    title_max: cfg.TITLE_MAX || 0,
+    bullet_count: cfg.BULLET_COUNT,
+    bullet_min: cfg.BULLET_MIN,
+    bullet_max: cfg.BULLET_MAX,
+    desc_min: cfg.DESC_MIN,
+    desc_max: cfg.DESC_MAX,
+    backend_max_bytes: cfg.BACKEND_MAX_BYTES || 249,
+  };
+}
+
+// Flat list of every issue in a variant report (bullet items included)
+export function collectIssues(variantReport) {
+  const out = [];
+  for (const f of Object.values(variantReport.fields)) {
+    out.push(...f.issues);
+    for (const item of f.items || []) out.push(...item.issues);
+  }
+  return out;
+}
+
+/* ---------------- FIELD CHECKS ---------------- */
+
+function checkTitle(v, cfg) {
+  const title = normalizeSpaces(v.title);
+  const issues = [];
+  const length = title.length;
+
+  if (!title) {
+    issues.push(issue("error", "title_missing", "title is missing"));
+  } else {
+    if (cfg.TITLE_MAX && length > cfg.TITLE_MAX) {
+      issues.push(issue("error", "title_too_long", `title length = ${length}, max ${cfg.TITLE_MAX}`));
+    } else if (cfg.TITLE_MIN && length < cfg.TITLE_MIN) {
+      issues.push(issue("warning", "title_too_short", `title length = ${length}, aim for ${cfg.TITLE_MIN}-${cfg.TITLE_MAX}`));
+    }
+
+    const brand = String(cfg.BRAND_NAME || "");
+    const chars = TITLE_FORBIDDEN_CHARS.filter((c) => title.includes(c) && !brand.includes(c));
+    if (chars.length) {
+      issues.push(issue("error", "title_forbidden_chars", `title contains forbidden characters: ${chars.join(" ")}`, { chars }));
+    }
+
+    const emoji = title.match(EMOJI_RE);
+    if (emoji) {
+      issues.push(issue("error", "title_emoji", `title contains emoji: ${[...new Set(emoji)].join(" ")}`, { emoji }));
+    }
+
+    const repeated = Object.entries(countWords(title))
+      .filter(([w, n]) => n > TITLE_MAX_WORD_REPEAT && w.length >= 3 && !TITLE_REPEAT_IGNORE.has(w))
+      .map(([w]) => w);
+    if (repeated.length) {
+      issues.push(
+        issue("error", "title_word_repeat", `title repeats words more than ${TITLE_MAX_WORD_REPEAT}x: ${repeated.join(", ")}`, {
+          words: repeated,
+        })
+      );
+    }
+  }
+
+  return { ok: true, length, issues };
+}
+
+function checkBullets(v, cfg) {
+  const bullets = v.bullets || [];
+  const issues = [];
+
+  if (bullets.length !== cfg.BULLET_COUNT) {
+    issues.push(issue("error", "bullet_count", `bullets count = ${bullets.length}, expected ${cfg.BULLET_COUNT}`));
+  }
+
+  const items = bullets.map((b, i) => {
+    const length = normalizeSpaces(b).length;
+    const itemIssues = [];
+    if (length < cfg.BULLET_MIN || length > cfg.BULLET_MAX) {
+      itemIssues.push(
+        issue("error", "bullet_length", `bullet ${i + 1} length = ${length}, expected ${cfg.BULLET_MIN}-${cfg.BULLET_MAX}`)
+      );
+    }
+    return { index: i, length, ok: true, issues: itemIssues };
+  });
+
+  return { ok: true, count: bullets.length, issues, items };
+}
+
+function checkDescription(v, cfg) {
+  const length = normalizeSpaces(v.description).length;
+  const issues = [];
+  if (length < cfg.DESC_MIN || length > cfg.DESC_MAX) {
+    issues.push(
+      issue("error", "description_length", `description length = ${length}, expected ${cfg.DESC_MIN}-${cfg.DESC_MAX}`)
+    );
+  }
+  return { ok: true, length, issues };
+}
+
+function checkBackend(v, cfg) {
+  const text = normalizeSpaces(v.backend_terms);
+  const bytes = byteLength(text);
+  const issues = [];
+
+  if (!text) {
+    issues.push(issue("error", "backend_missing", "backend search terms are missing"));
+    return { ok: true, length: 0, bytes: 0, issues };
+  }
+
+  const maxBytes = cfg.BACKEND_MAX_BYTES || 249;
+  if (bytes > maxBytes) {
+    issues.push(issue("error", "backend_too_long", `backend terms = ${bytes} bytes, max ${maxBytes}`));
+  }
+
+  if (text.includes(",")) {
+    issues.push(issue("error", "backend_commas", "backend terms contain commas (use spaces only)"));
+  }
+
+  const dupes = Object.entries(countWords(text)).filter(([, n]) => n > 1).map(([w]) => w);
+  if (dupes.length) {
+    issues.push(issue("error", "backend_duplicates", `duplicate words in backend terms: ${dupes.join(", ")}`, { words: dupes }));
+  }
+
+  const brand = normalizeSpaces(cfg.BRAND_NAME);
+  if (brand && termRegExp(brand).test(text)) {
+    issues.push(issue("error", "backend_brand", `backend terms contain the brand name "${brand}"`));
+  }
+
+  // repeating title words wastes the byte budget – Amazon already indexes the title
+  const titleWords = new Set(Object.keys(countWords(v.title)).filter((w) => w.length >= 3));
+  const overlap = Object.keys(countWords(text)).filter((w) => titleWords.has(w));
+  if (overlap.length) {
+    issues.push(
+      issue("warning", "backend_title_overlap", `backend terms repeat title words: ${overlap.join(", ")}`, { words: overlap })
+    );
+  }
+
+  return { ok: true, length: text.length, bytes, issues };
+}
+
+function checkForbiddenTerms(v, fields, cfg) {
+  // bullets are checked one by one so the issue lands on the bullet that needs the rewrite
+  const targets = [
+    ["title", v.title, fields.title],
+    ...(v.bullets || []).map((b, i) => [`bullet ${i + 1}`, b, fields.bullets.items[i]]),
+    ["description", v.description, fields.description],
+    ["backend terms", v.backend_terms, fields.backend_terms],
+  ];
+  for (const term of cfg.FORBIDDEN_TERMS || []) {
+    const re = termRegExp(term);
+    for (const [name, text, target] of targets) {
+      if (re.test(text || "")) {
+        target.issues.push(issue("error", "forbidden_term", `forbidden term "${term}" in ${name}`, { term }));
+      }
+    }
+  }
+  for (const term of cfg.BANNED_TERMS || []) {
+    const re = termRegExp(term);
+    for (const [name, text, target] of targets) {
+      if (re.test(text || "")) {
+        target.issues.push(issue("error", "brand_banned_term", `banned brand word "${term}" in ${name}`, { term }));
+      }
+    }
+  }
+  for (const { term, avoid } of cfg.GLOSSARY || []) {
+    for (const wrong of avoid) {
+      const re = termRegExp(wrong);
+      for (const [name, text, target] of targets.slice(0, -1)) {
+        if (re.test(text || "")) {
+          target.issues.push(
+            issue("error", "glossary_term", `brand glossary: "${wrong}" in ${name} – write "${term}" instead`, { term, avoid: wrong })
+          );
+        }
+      }
+    }
+  }
+}
+
+/* ---------------- HELPERS ---------------- */
+
+function hasError(issues) {
+  return issues.some((i) => i.severity === "error");
+}
+
+function issue(severity, code, message, extra = {}) {
+  return { severity, code, message, ...extra };
+}
+
+export function byteLength(s) {
+  return new TextEncoder().encode(String(s || "")).length;
+}
+
+// lowercase word → count (letters/digits only; punctuation and emoji ignored)
+export function countWords(s) {
+  const counts = {};
+  for (const w of String(s || "").toLowerCase().match(/[\p{L}\p{N}]+(?:[-'][\p{L}\p{N}]+)*/gu) || []) {
+    counts[w] = (counts[w] || 0) + 1;
+  }
+  return counts;
+}
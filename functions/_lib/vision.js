@@ -0,0 +1,441 @@
+import { callLLM, resolveProvider, llmErrorMessage } from "./llm.js";
+import { normalizeSpaces } from "./listing.js";
+import { outputLanguage } from "./marketplaces.js";
+import { looksLikeUrl, isBlockedHost, checkTarget, scrapeSettings } from "./scrape.js";
+import { scrapeProduct } from "./facts.js";
+
+// Product images → facts. Packaging photos and labels (INCI lists, volume, certification seals,
+// claims printed on the pack) often hold what the supplier page leaves out. One call to a
+// vision-capable model reads them; the seller confirms/edits the facts and sends them back to
+// /api/generate (or /api/aplus) as `image_facts`. Per image the model also suggests alt text
+// and checks Amazon's main-image rules.
+//
+// images:      ["https://…/front.jpg", "data:image/jpeg;base64,…", { data, media_type?, name? }, { url }]
+// image_facts: { volume, ingredients: [...], certifications: [...], claims: [...], other: { label: value } }
+
+export const MAX_IMAGES = 6;
+const MAX_IMAGE_BYTES = 5 * 1024 * 1024;
+const ALT_TEXT_MAX = 100;
+
+// Amazon main-image requirements the model checks on every image
+const MAIN_IMAGE_CHECKS = {
+  white_background: "Pure white background (RGB 255, 255, 255)",
+  fills_frame: "Product fills about 85% of the image",
+  no_overlays: "No text, logos, badges, borders, colour blocks or watermarks added to the image",
+  product_only: "Only the product sold – no props or accessories that are not included",
+  whole_product: "Whole product in frame, not cropped",
+  real_photo: "Professional photo of the actual product – no drawing, illustration or placeholder",
+  sharp: "In focus, well lit, realistic colours",
+};
+const CHECK_STATUSES = ["pass", "fail", "unknown"];
+
+/* ---------------- REQUEST ---------------- */
+
+// body: { marketplace, brand_name?, images?, url?, provider? }
+// Returns { ok: true, req } or { ok: false, error, status }; no I/O
+export function parseVisionRequest(env, body) {
+  const bad = (error, status = 400) => ({ ok: false, error, status });
+
+  const llm = resolveProvider(env, body.provider);
+  if (!llm.ok) return bad(llm.error, llm.status);
+
+  const parsed = parseImages(body.images ?? []);
+  if (!parsed.ok) return bad(parsed.error);
+
+  const url = String(body.url || "").trim();
+  if (url && !looksLikeUrl(url)) return bad("Invalid url (http/https)");
+
+  const req = {
+    provider: llm.provider,
+    marketplace: String(body.marketplace || "").trim(),
+    brandName: String(body.brand_name || "").trim(),
+    images: parsed.images,
+    url,
+  };
+  if (!req.marketplace) return bad("Missing marketplace");
+  if (!req.images.length && !req.url) return bad("Missing images – upload images or send the product page url");
+  return { ok: true, req };
+}
+
+// → { ok: true, images: [{ source: "upload", name, media_type, data, width, height, bytes } | { source: "url", url }] }
+// or { ok: false, error }
+function parseImages(raw) {
+  if (!Array.isArray(raw)) return { ok: false, error: "images must be an array" };
+  if (raw.length > MAX_IMAGES) return { ok: false, error: `Too many images (${raw.length}), max ${MAX_IMAGES}` };
+
+  const images = [];
+  for (const [i, item] of raw.entries()) {
+    const r = parseImage(typeof item === "string" ? (looksLikeUrl(item) ? { url: item } : { data: item }) : item);
+    if (r.error) return { ok: false, error: `images[${i}]: ${r.error}` };
+    images.push(r.image);
+  }
+  return { ok: true, images };
+}
+
+function parseImage(item) {
+  if (!item || typeof item !== "object") return { error: "expected a URL, a data URL or { data, media_type }" };
+
+  if (item.url != null) {
+    const url = String(item.url).trim();
+    const host = imageHost(url);
+    if (host == null) return { error: "invalid image URL" };
+    if (isBlockedHost(host)) return { error: "blocked image host" };
+    return { image: { source: "url", url } };
+  }
+
+  let data = String(item.data || "").trim();
+  let mediaType = String(item.media_type || "").trim().toLowerCase();
+  const m = data.match(/^data:([^;,]+);base64,/i);
+  if (m) {
+    mediaType = m[1].toLowerCase();
+    data = data.slice(m[0].length);
+  }
+  data = data.replace(/\s+/g, "");
+  if (!data) return { error: "empty image" };
+  if (data.length > Math.ceil(MAX_IMAGE_BYTES / 3) * 4) return { error: "image too large (max 5 MB)" };
+
+  let bytes;
+  try {
+    bytes = Uint8Array.from(atob(data), (c) => c.charCodeAt(0));
+  } catch {
+    return { error: "invalid base64" };
+  }
+  const size = imageSize(bytes);
+  if (!size) return { error: "unsupported image (JPEG, PNG, WebP or GIF)" };
+  // the bytes decide, a wrong media_type would be rejected by the provider
+  if (mediaType && mediaType !== size.type && !(mediaType === "image/jpg" && size.type === "image/jpeg")) {
+    return { error: `image is ${size.type}, not ${mediaType}` };
+  }
+
+  return {
+    image: {
+      source: "upload",
+      name: normalizeSpaces(item.name).slice(0, 200),
+      media_type: size.type,
+      data,
+      width: size.width,
+      height: size.height,
+      bytes: bytes.length,
+    },
+  };
+}
+
+// hostname of an http(s) URL, null when it doesn't parse ("https://[")
+function imageHost(url) {
+  if (!looksLikeUrl(url)) return null;
+  try {
+    return new URL(url).hostname;
+  } catch {
+    return null;
+  }
+}
+
+// The model's provider fetches image URLs itself – they get the same checks as a scraped page
+// (literal host, then its DNS answers). Returns null or the reason.
+async function imageUrlProblem(env, url, signal) {
+  try {
+    await checkTarget(url, { dnsCheck: scrapeSettings(env).dnsCheck, signal });
+    return null;
+  } catch (e) {
+    return e?.message || "blocked image host";
+  }
+}
+
+// { type, width, height } from the file header, or null for anything but JPEG/PNG/GIF/WebP
+function imageSize(b) {
+  const u16 = (i) => (b[i] << 8) | b[i + 1];
+  const le16 = (i) => b[i] | (b[i + 1] << 8);
+  const u32 = (i) => ((b[i] << 24) | (b[i + 1] << 16) | (b[i + 2] << 8) | b[i + 3]) >>> 0;
+
+  if (b.length > 24 && b[0] === 0x89 && b[1] === 0x50 && b[2] === 0x4e && b[3] === 0x47) {
+    return { type: "image/png", width: u32(16), height: u32(20) };
+  }
+  if (b.length > 10 && b[0] === 0x47 && b[1] === 0x49 && b[2] === 0x46) {
+    return { type: "image/gif", width: le16(6), height: le16(8) };
+  }
+  if (b.length > 30 && String.fromCharCode(...b.slice(0, 4)) === "RIFF" && String.fromCharCode(...b.slice(8, 12)) === "WEBP") {
+    const chunk = String.fromCharCode(...b.slice(12, 16));
+    if (chunk === "VP8X") return { type: "image/webp", width: 1 + (b[24] | (b[25] << 8) | (b[26] << 16)), height: 1 + (b[27] | (b[28] << 8) | (b[29] << 16)) };
+    if (chunk === "VP8L") {
+      const bits = b[21] | (b[22] << 8) | (b[23] << 16) | (b[24] << 24);
+      return { type: "image/webp", width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 };
+    }
+    return { type: "image/webp", width: le16(26) & 0x3fff, height: le16(28) & 0x3fff };
+  }
+  if (b.length > 4 && b[0] === 0xff && b[1] === 0xd8) {
+    // walk the segments up to the first SOFn frame header
+    for (let i = 2; i + 9 < b.length; ) {
+      if (b[i] !== 0xff) {
+        i++;
+        continue;
+      }
+      const marker = b[i + 1];
+      if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+        return { type: "image/jpeg", width: u16(i + 7), height: u16(i + 5) };
+      }
+      if (marker === 0xd8 || marker === 0x01 || (marker >= 0xd0 && marker <= 0xd7) || marker === 0xff) {
+        i += marker === 0xff ? 1 : 2;
+        continue;
+      }
+      i += 2 + u16(i + 2);
+    }
+    return { type: "image/jpeg", width: 0, height: 0 };
+  }
+  return null;
+}
+
+/* ---------------- EXTRACTION ---------------- */
+
+// Returns { status, body } – body: { marketplace, language, provider, images: [...], facts,
+// facts_text, scrape? } or { error }
+export async function runVision(env, req, { signal, usage = { tokens: 0 } } = {}) {
+  const { provider, marketplace, brandName } = req;
+  const images = [...req.images];
+
+  for (const [i, img] of images.entries()) {
+    if (img.source !== "url") continue;
+    const problem = await imageUrlProblem(env, img.url, signal);
+    if (problem) return { status: 400, body: { error: `images[${i}]: ${problem}` } };
+  }
+
+  // images of the product page (JSON-LD, through the scrape cache) fill the remaining slots
+  let scrape = null;
+  if (req.url) {
+    const s = await scrapeProduct(env, req.url, { timeoutMs: 15000 });
+    // a bad <img> src drops that image, not the run
+    const pageImages = [];
+    for (const u of s.ok ? s.facts.images : []) {
+      if (pageImages.length >= MAX_IMAGES - images.length) break;
+      const host = imageHost(u);
+      if (host == null || isBlockedHost(host) || (await imageUrlProblem(env, u, signal))) continue;
+      pageImages.push(u);
+    }
+    scrape = { url: s.url, ok: s.ok, cached: !!s.cached, images: pageImages.length, ...(s.ok ? {} : { error: s.error }) };
+    for (const url of pageImages) images.push({ source: "url", url });
+  }
+  if (!images.length) {
+    if (!scrape.ok) return { status: 502, body: { error: `Product page could not be read: ${scrape.error}`, scrape } };
+    return { status: 400, body: { error: "No images – the product page has none", scrape } };
+  }
+
+  const instructions = visionInstructions(marketplace);
+  const input = `${brandName ? `Brand name: ${brandName}\n` : ""}Marketplace: ${marketplace}
+
+IMAGES (in this order):
+${images.map((img, i) => `${i + 1}. ${img.source === "url" ? img.url : img.name || "uploaded image"}`).join("\n")}
+
+Read the ${images.length} image(s).`;
+
+  const meta = {
+    marketplace,
+    language: outputLanguage(marketplace),
+    provider: { id: provider.id, model: provider.model },
+    ...(scrape ? { scrape } : {}),
+  };
+
+  try {
+    const res = await callLLM(env, instructions, input, {
+      provider: provider.id,
+      purpose: "vision",
+      max_output_tokens: 3000,
+      temperature: 0.2,
+      timeoutMs: 90000,
+      usage,
+      format: visionJsonFormat(),
+      images: images.map((img) => (img.source === "url" ? { url: img.url } : { data: img.data, media_type: img.media_type })),
+      signal,
+    });
+
+    let obj;
+    try {
+      obj = JSON.parse(res.text);
+    } catch {
+      return { status: 500, body: { error: `Invalid JSON output from ${provider.name}`, debug: res.raw } };
+    }
+
+    // nothing legible is a valid answer – an empty facts object then
+    const f = sanitizeImageFacts(obj?.facts || {});
+    const facts = f.ok ? f.facts : { volume: "", ingredients: [], certifications: [], claims: [], other: {} };
+    const byIndex = new Map((Array.isArray(obj?.images) ? obj.images : []).map((x) => [Number(x?.index), x]));
+    return {
+      status: 200,
+      body: {
+        ...meta,
+        images: images.map((img, i) => imageReport(img, byIndex.get(i + 1) || {}, i + 1)),
+        facts,
+        facts_text: imageFactsText(facts),
+      },
+    };
+  } catch (e) {
+    const msg = signal?.aborted ? "Cancelled" : llmErrorMessage(e);
+    return { status: 500, body: { error: msg, ...(e?.code ? { code: e.code, provider: e.provider } : {}), ...meta } };
+  }
+}
+
+function visionInstructions(marketplace) {
+  const checks = Object.entries(MAIN_IMAGE_CHECKS)
+    .map(([id, rule]) => `- ${id}: ${rule}`)
+    .join("\n");
+
+  return `You are an Amazon catalog specialist reading product and packaging photos.
+
+FACTS (merged over all images – only what is printed and legible, never guess or complete):
+- volume: net content / size / count as printed ("50 ml", "2 × 250 g"), else ""
+- ingredients: the ingredient list (INCI for cosmetics) in the printed order, one item per ingredient, else []
+- certifications: seals and certifications shown (e.g. "COSMOS Organic", "Vegan Society", "CE", "FSC"), else []
+- claims: claims printed on the pack, verbatim in the pack's language ("dermatologically tested"), else []
+- other: further label facts (skin type, usage, warnings, origin, batch-independent data) as { label, value }
+
+PER IMAGE (index = the image's number in IMAGES):
+- description: what the image shows, one sentence (English)
+- text_on_image: the legible text, verbatim, shortened to the essentials
+- alt_text: alt text for the image in ${outputLanguage(marketplace)}, max ${ALT_TEXT_MAX} characters – describes product and view, no keyword stuffing, no "image of"
+- main_image: Amazon MAIN image rules, one entry per rule id below, status pass | fail | unknown, note = why (short, English):
+${checks}`;
+}
+
+function visionJsonFormat() {
+  const strings = { type: "array", items: { type: "string" } };
+  const str = { type: "string" };
+  return {
+    type: "json_schema",
+    name: "image_facts",
+    strict: true,
+    schema: {
+      type: "object",
+      additionalProperties: false,
+      required: ["images", "facts"],
+      properties: {
+        images: {
+          type: "array",
+          items: {
+            type: "object",
+            additionalProperties: false,
+            required: ["index", "description", "text_on_image", "alt_text", "main_image"],
+            properties: {
+              index: { type: "integer" },
+              description: str,
+              text_on_image: str,
+              alt_text: str,
+              main_image: {
+                type: "array",
+                items: {
+                  type: "object",
+                  additionalProperties: false,
+                  required: ["id", "status", "note"],
+                  properties: {
+                    id: { type: "string", enum: Object.keys(MAIN_IMAGE_CHECKS) },
+                    status: { type: "string", enum: CHECK_STATUSES },
+                    note: str,
+                  },
+                },
+              },
+            },
+          },
+        },
+        facts: {
+          type: "object",
+          additionalProperties: false,
+          required: ["volume", "ingredients", "certifications", "claims", "other"],
+          properties: {
+            volume: str,
+            ingredients: strings,
+            certifications: strings,
+            claims: strings,
+            other: {
+              type: "array",
+              items: {
+                type: "object",
+                additionalProperties: false,
+                required: ["label", "value"],
+                properties: { label: str, value: str },
+              },
+            },
+          },
+        },
+      },
+    },
+  };
+}
+
+// Model answer for one image → { index, source, url | name, width?, height?, description,
+// text_on_image, alt_text, main_image: { ok, checks: [{ id, rule, status, note }] } }
+function imageReport(img, x, index) {
+  const given = new Map((Array.isArray(x.main_image) ? x.main_image : []).map((c) => [c?.id, c]));
+  const checks = Object.entries(MAIN_IMAGE_CHECKS).map(([id, rule]) => {
+    const c = given.get(id);
+    return { id, rule, status: CHECK_STATUSES.includes(c?.status) ? c.status : "unknown", note: normalizeSpaces(c?.note) };
+  });
+  // the size comes from the file, not from the model (uploads only)
+  if (img.source === "upload") checks.push(sizeCheck(img));
+
+  return {
+    index,
+    source: img.source,
+    ...(img.source === "url" ? { url: img.url } : { name: img.name, width: img.width, height: img.height }),
+    description: normalizeSpaces(x.description),
+    text_on_image: String(x.text_on_image || "").trim(),
+    alt_text: cutWords(normalizeSpaces(x.alt_text), ALT_TEXT_MAX),
+    main_image: { ok: checks.every((c) => c.status === "pass"), checks },
+  };
+}
+
+function sizeCheck(img) {
+  const rule = "At least 1000 px on the longest side (zoom)";
+  const longest = Math.max(img.width, img.height);
+  if (!longest) return { id: "size", rule, status: "unknown", note: "Size not found in the file" };
+  return {
+    id: "size",
+    rule,
+    status: longest >= 1000 ? "pass" : "fail",
+    note: `${img.width} × ${img.height} px${longest < 500 ? " – below 500 px Amazon rejects the image" : ""}`,
+  };
+}
+
+function cutWords(s, max) {
+  if (s.length <= max) return s;
+  const cut = s.slice(0, max + 1);
+  const i = cut.lastIndexOf(" ");
+  return (i > max / 2 ? cut.slice(0, i) : s.slice(0, max)).replace(/[\s,;:–-]+$/, "");
+}
+
+/* ---------------- CONFIRMED FACTS ---------------- */
+
+// `image_facts` from the client (or the model) → { ok: true, facts } or { ok: false, error }
+export function sanitizeImageFacts(raw) {
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) return { ok: false, error: "image_facts must be an object" };
+
+  const list = (x, max) => (Array.isArray(x) ? x : String(x || "").split("\n")).map((s) => normalizeSpaces(s).slice(0, 300)).filter(Boolean).slice(0, max);
+  const facts = {
+    volume: normalizeSpaces(raw.volume).slice(0, 100),
+    ingredients: list(raw.ingredients, 100),
+    certifications: list(raw.certifications, 20),
+    claims: list(raw.claims, 20),
+    other: {},
+  };
+
+  // { label: value } or [{ label, value }] (the model's shape)
+  if (raw.other != null && typeof raw.other !== "object") return { ok: false, error: "image_facts.other must be an object" };
+  const other = Array.isArray(raw.other) ? raw.other.map((o) => [o?.label, o?.value]) : Object.entries(raw.other || {});
+  for (const [k, v] of other.slice(0, 30)) {
+    const key = normalizeSpaces(k).slice(0, 100);
+    const value = normalizeSpaces(v).slice(0, 1000);
+    if (key && value) facts.other[key] = value;
+  }
+
+  const filled = facts.volume || facts.ingredients.length || facts.certifications.length || facts.claims.length || Object.keys(facts.other).length;
+  if (!filled) return { ok: false, error: "image_facts are empty" };
+  return { ok: true, facts };
+}
+
+// Confirmed image facts → prompt section (appended to the product info, see pipeline.js)
+export function imageFactsText(f) {
+  if (!f) return "";
+  const lines = ["FACTS FROM THE PRODUCT / PACKAGING IMAGES (confirmed by the seller – treat as correct):"];
+  if (f.volume) lines.push(`Volume / size: ${f.volume}`);
+  if (f.ingredients.length) lines.push(`Ingredients: ${f.ingredients.join(", ")}`);
+  if (f.certifications.length) lines.push(`Certifications: ${f.certifications.join(", ")}`);
+  if (f.claims.length) lines.push("Claims printed on the pack (use only if they meet the marketplace rules):", ...f.claims.map((c) => `- ${c}`));
+  for (const [k, v] of Object.entries(f.other)) lines.push(`${k}: ${v}`);
+  return lines.length > 1 ? lines.join("\n") : "";
+}
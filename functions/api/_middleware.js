@@ -0,0 +1,19 @@
+import { authenticate } from "../_lib/auth.js";
+
+// Routes reachable without a token (login itself)
+const PUBLIC_PATHS = new Set(["/api/auth"]);
+
+export async function onRequest(context) {
+  const { request, env, data } = context;
+  const path = new URL(request.url).pathname.replace(/\/+$/, "");
+
+  if (PUBLIC_PATHS.has(path) || request.method === "OPTIONS") {
+    return context.next();
+  }
+
+  const result = await authenticate(request, env);
+  if (!result.ok) return result.response;
+
+  data.auth = result.auth;
+  return context.next();
+}
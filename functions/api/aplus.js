@@ -0,0 +1,70 @@
+import { json } from "../_lib/http.js";
+import { requireRole } from "../_lib/auth.js";
+import { enforceLimits, recordUsage } from "../_lib/limits.js";
+import { variantsFromText, variantsFromObjects, pickVariants } from "../_lib/listing.js";
+import { parseAplusRequest, runAplus } from "../_lib/aplus.js";
+import { findOwnListing, getVersion } from "../_lib/history.js";
+import { applyBrandDefaults } from "../_lib/brands.js";
+
+// POST /api/aplus – A+ content modules for a product (see aplus.js).
+// Body: {
+//   marketplace, brand_name, brand?, user_prompt? | facts?, image_facts?, brand_voice?, usp?, category?,
+//   listing?: { output | variants | history_id, version? }, variant?: "A" | "B" | "C",
+//   comparison_products?: ["Name" | { name, asin?, details? }], repair_attempts?, provider?
+// }
+// With a history listing, marketplace, brand, voice, USPs, category and product info default
+// to that version's inputs, then to the brand profile. Counts as one generation.
+export async function onRequestPost({ request, env, data }) {
+  const denied = requireRole(data, "editor");
+  if (denied) return denied;
+
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    return json({ error: "Invalid JSON body" }, 400);
+  }
+
+  const l = body.listing || {};
+  let list = null;
+  let base = null; // history version the listing comes from
+  if (l.history_id) {
+    const found = await findOwnListing(env, data, l.history_id, "editor");
+    if (found.response) return found.response;
+    base = await getVersion(env, found.listing.id, l.version || found.listing.latest);
+    if (!base) return json({ error: `Unknown version: ${l.version}` }, 404);
+    list = base.variants;
+  } else if (l.variants != null || l.output != null) {
+    list = l.variants != null ? variantsFromObjects(l.variants) : variantsFromText(String(l.output || ""));
+    if (!list?.some((v) => v.title || v.bullets.length)) return json({ error: "listing is empty" }, 400);
+  }
+
+  // fields still empty after the history version come from the brand profile
+  const branded = await applyBrandDefaults(env, {
+    ...body,
+    listing: list ? pickVariants(list, body.variant)[0] || null : null,
+    marketplace: body.marketplace || base?.inputs.marketplace,
+    brand: body.brand ?? base?.inputs.brand,
+    brand_name: body.brand_name || base?.inputs.brand_name,
+    brand_voice: body.brand_voice ?? base?.inputs.brand_voice,
+    usp: body.usp ?? base?.inputs.usp,
+    category: body.category || base?.category?.id,
+    user_prompt: body.user_prompt || base?.inputs.user_prompt,
+  });
+  if (!branded.ok) return json({ error: branded.error }, branded.status);
+
+  const parsed = parseAplusRequest(env, branded.body);
+  if (!parsed.ok) return json({ error: parsed.error }, parsed.status);
+
+  const limited = await enforceLimits(env, data.auth);
+  if (limited) return limited;
+
+  const usage = { tokens: 0 };
+  let res;
+  try {
+    res = await runAplus(env, parsed.req, { signal: request.signal, usage });
+  } finally {
+    await recordUsage(env, data.auth, { generations: res?.status === 200 ? 1 : 0, tokens: usage.tokens });
+  }
+  return json(res.body, res.status);
+}
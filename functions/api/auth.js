@@ -1,7 +1,19 @@
+import { json } from "../_lib/http.js";
+import { signToken, timingSafeEqual } from "../_lib/token.js";
+import { getStore } from "../_lib/store.js";
+import {
+  getUser,
+  listUsers,
+  createUser,
+  verifyPassword,
+  normalizeUsername,
+  publicUser,
+} from "../_lib/users.js";
+
+// Only used to burn the same PBKDF2 time when the user doesn't exist
+const DUMMY_HASH = "pbkdf2-sha256$100000$AAAAAAAAAAAAAAAAAAAAAA$AAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAA";
+
 export async function onRequestPost({ request, env }) {
-  if (!env?.ACCESS_PASSWORD) {
-    return json({ error: "ACCESS_PASSWORD missing in env" }, 500);
-  }
   if (!env?.ACCESS_TOKEN_SECRET) {
     return json({ error: "ACCESS_TOKEN_SECRET missing in env" }, 500);
   }
@@ -13,64 +25,29 @@ export async function onRequestPost({ request, env }) {
     return json({ error: "Invalid JSON body" }, 400);
   }
 
+  const username = normalizeUsername(body.username);
   const password = String(body.password || "");
-  if (!timingSafeEqual(password, String(env.ACCESS_PASSWORD))) {
-    return json({ error: "Invalid password" }, 401);
+  if (!username) return json({ error: "Missing username" }, 400);
+  if (!password) return json({ error: "Missing password" }, 400);
+
+  const store = getStore(env);
+  let user = await getUser(store, username);
+
+  // Bootstrap: while there are no users yet, "admin" + ACCESS_PASSWORD creates the first admin
+  if (!user && username === "admin" && env.ACCESS_PASSWORD) {
+    const existing = await listUsers(store);
+    if (!existing.length && timingSafeEqual(password, String(env.ACCESS_PASSWORD))) {
+      user = await createUser(store, { username, password, role: "admin" });
+    }
   }
 
-  // Token TTL (пример: 7 дни)
-  const now = Math.floor(Date.now() / 1000);
-  const exp = now + 7 * 24 * 60 * 60;
-
-  const payloadObj = { v: 1, iat: now, exp };
-  const payloadJson = JSON.stringify(payloadObj);
-  const payloadB64 = base64UrlEncode(new TextEncoder().encode(payloadJson));
-
-  const sigB64 = await hmacSha256Base64Url(env.ACCESS_TOKEN_SECRET, payloadB64);
-  const token = `${payloadB64}.${sigB64}`;
-
-  return json({ token, exp }, 200);
-}
-
-async function hmacSha256Base64Url(secret, message) {
-  const key = await crypto.subtle.importKey(
-    "raw",
-    new TextEncoder().encode(secret),
-    { name: "HMAC", hash: "SHA-256" },
-    false,
-    ["sign"]
-  );
-
-  const sig = await crypto.subtle.sign(
-    "HMAC",
-    key,
-    new TextEncoder().encode(message)
-  );
-
-  return base64UrlEncode(new Uint8Array(sig));
-}
-
-function base64UrlEncode(bytes) {
-  let binary = "";
-  for (let i = 0; i < bytes.length; i++) binary += String.fromCharCode(bytes[i]);
-  return btoa(binary).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/g, "");
-}
-
-// Constant-time-ish compare (за да няма лесен timing leak)
-function timingSafeEqual(a, b) {
-  a = String(a);
-  b = String(b);
-  const len = Math.max(a.length, b.length);
-  let diff = a.length ^ b.length;
-  for (let i = 0; i < len; i++) {
-    diff |= (a.charCodeAt(i) || 0) ^ (b.charCodeAt(i) || 0);
+  const ok = await verifyPassword(password, user?.password_hash || DUMMY_HASH);
+  if (!user || !ok || user.disabled) {
+    return json({ error: "Invalid username or password" }, 401);
   }
-  return diff === 0;
-}
 
-function json(obj, status = 200) {
-  return new Response(JSON.stringify(obj), {
-    status,
-    headers: { "Content-Type": "application/json; charset=utf-8" }
-  });
+  // Token TTL (пример: 7 дни) – виж TOKEN_TTL_SECONDS
+  const { token, payload } = await signToken(env, { sub: user.id, role: user.role });
+
+  return json({ token, exp: payload.exp, user: publicUser(user) }, 200);
 }
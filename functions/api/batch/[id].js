@@ -0,0 +1,21 @@
+import { json } from "../../_lib/http.js";
+import { findOwnJob, jobStatus, cancelJob, resumeJob } from "../../_lib/batch.js";
+
+// GET /api/batch/:id – job status with per-row status (owner or admin)
+export async function onRequestGet({ env, data, params, waitUntil }) {
+  const found = await findOwnJob(env, data, params.id);
+  if (found.response) return found.response;
+
+  // in-process mode: pick the job up again if its runner is gone
+  await resumeJob(env, found.job, waitUntil);
+  return json({ job: await jobStatus(env, found.job) }, 200);
+}
+
+// DELETE /api/batch/:id – cancel: pending rows are skipped, running ones aborted
+export async function onRequestDelete({ env, data, params }) {
+  const found = await findOwnJob(env, data, params.id);
+  if (found.response) return found.response;
+
+  await cancelJob(env, found.job);
+  return json({ job: await jobStatus(env, found.job) }, 200);
+}
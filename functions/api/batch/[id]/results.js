@@ -0,0 +1,66 @@
+import { json } from "../../../_lib/http.js";
+import { getRows, findOwnJob } from "../../../_lib/batch.js";
+import { variantsFromObjects, variantsFromText } from "../../../_lib/listing.js";
+import { getTemplate } from "../../../_lib/templates.js";
+import { buildFlatFileRows } from "../../../_lib/flatfile.js";
+import { toCsv } from "../../../_lib/csv.js";
+import { buildXlsx, XLSX_CONTENT_TYPE } from "../../../_lib/xlsx.js";
+
+// GET /api/batch/:id/results?format=xlsx|csv|json
+//   xlsx / csv – one Amazon flat file (see /api/export) with the first variant of every finished row
+//   json       – every row with its status, error and full /api/generate result
+export async function onRequestGet({ request, env, data, params }) {
+  const found = await findOwnJob(env, data, params.id);
+  if (found.response) return found.response;
+  const job = found.job;
+
+  const format = String(new URL(request.url).searchParams.get("format") || "xlsx").trim().toLowerCase();
+  if (!["xlsx", "csv", "json"].includes(format)) {
+    return json({ error: "Invalid format, expected \"xlsx\", \"csv\" or \"json\"" }, 400);
+  }
+
+  const rows = await getRows(env, job);
+  const headers = {
+    "Content-Disposition": `attachment; filename="batch-${job.id.slice(0, 8)}.${format}"`,
+    "Cache-Control": "no-store",
+  };
+
+  if (format === "json") {
+    const out = rows.map(({ index, sku, status, attempts, error, result, history }) => ({
+      index,
+      sku,
+      status,
+      attempts,
+      error,
+      history: history || null,
+      result,
+    }));
+    return json({ job: job.id, rows: out }, 200, headers);
+  }
+
+  const items = [];
+  for (const row of rows) {
+    if (row.status !== "done" || !row.result) continue;
+    const r = row.result;
+    const list = r.variants ? variantsFromObjects(r.variants) : variantsFromText(r.output || "");
+    if (!list?.length) continue;
+    items.push({
+      variant: list[0],
+      // CSV row first, then the scraped product data (like /api/export)
+      sku: row.sku || r.product?.sku || `ROW-${row.index + 1}`,
+      product_type: row.product_type || getTemplate(r.category?.id).product_type || "",
+      brand_name: row.input.brand_name,
+      product_id: String(row.gtin || r.product?.gtin || "").replace(/[\s-]/g, ""),
+      update_delete: "Update",
+    });
+  }
+  if (!items.length) return json({ error: "No finished rows yet" }, 409);
+
+  const sheet = buildFlatFileRows(items);
+  if (format === "xlsx") {
+    return new Response(buildXlsx(sheet, { sheetName: "Template" }), {
+      headers: { "Content-Type": XLSX_CONTENT_TYPE, ...headers },
+    });
+  }
+  return new Response(toCsv(sheet), { headers: { "Content-Type": "text/csv; charset=utf-8", ...headers } });
+}
@@ -0,0 +1,81 @@
+import { json } from "../../_lib/http.js";
+import { requireRole } from "../../_lib/auth.js";
+import { enforceLimits, getUsageReport, tooManyRequests } from "../../_lib/limits.js";
+import {
+  batchSettings,
+  parseBatchCsv,
+  sanitizeOptions,
+  prepareRows,
+  createJob,
+  dispatchJob,
+  jobStatus,
+  listJobs,
+} from "../../_lib/batch.js";
+
+// POST /api/batch – CSV → batch job (see _lib/batch.js). Accepts:
+//   application/json      { csv: "...", options?: { profile, format, repair_attempts, provider, variants, ... } }
+//   text/csv              the CSV itself (options via ?profile=…&variants=…)
+//   multipart/form-data   file=<csv>, options=<JSON string>
+// CSV columns: sku, brand, marketplace, prompt (text or product URL), usp, category
+export async function onRequestPost({ request, env, data, waitUntil }) {
+  const denied = requireRole(data, "editor");
+  if (denied) return denied;
+
+  const input = await readBatchInput(request);
+  if (!input.ok) return json({ error: input.error }, 400);
+
+  const parsed = parseBatchCsv(input.csv, batchSettings(env));
+  if (!parsed.ok) return json({ error: parsed.error }, 400);
+
+  const limited = await enforceLimits(env, data.auth);
+  if (limited) return limited;
+
+  const options = sanitizeOptions(input.options);
+  const rows = prepareRows(env, parsed.rows, options);
+
+  // the whole batch has to fit into the monthly quota up front
+  const report = await getUsageReport(env, data.auth);
+  const needed = rows.filter((r) => r.status === "pending").length;
+  if (report.remaining.generations != null && report.remaining.generations < needed) {
+    const secs = (Date.parse(report.resets_at) - Date.now()) / 1000;
+    return tooManyRequests(
+      `Batch needs ${needed} generations, only ${report.remaining.generations} left this month`,
+      secs
+    );
+  }
+
+  const job = await createJob(env, data.auth, { rows, options });
+  await dispatchJob(env, job, waitUntil);
+  return json({ job: await jobStatus(env, job) }, 202);
+}
+
+// GET /api/batch – own jobs (admin: all)
+export async function onRequestGet({ env, data }) {
+  const denied = requireRole(data, "editor");
+  if (denied) return denied;
+
+  const jobs = await listJobs(env, data.auth.role === "admin" ? {} : { sub: data.auth.sub });
+  return json({ jobs }, 200);
+}
+
+async function readBatchInput(request) {
+  const type = (request.headers.get("content-type") || "").toLowerCase();
+  try {
+    if (type.includes("multipart/form-data")) {
+      const form = await request.formData();
+      const file = form.get("file");
+      const csv = typeof file === "string" ? file : file ? await file.text() : "";
+      const options = form.get("options") ? JSON.parse(String(form.get("options"))) : {};
+      return csv ? { ok: true, csv, options } : { ok: false, error: "Missing file" };
+    }
+    if (type.includes("text/csv")) {
+      const options = Object.fromEntries(new URL(request.url).searchParams);
+      return { ok: true, csv: await request.text(), options };
+    }
+    const body = await request.json();
+    if (typeof body.csv !== "string" || !body.csv.trim()) return { ok: false, error: "Missing csv" };
+    return { ok: true, csv: body.csv, options: body.options };
+  } catch {
+    return { ok: false, error: "Invalid request body (JSON with `csv`, text/csv or multipart `file`)" };
+  }
+}
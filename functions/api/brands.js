@@ -0,0 +1,46 @@
+import { json } from "../_lib/http.js";
+import { requireRole } from "../_lib/auth.js";
+import { listBrands, getBrand, saveBrand, deleteBrand, sanitizeBrand, isValidBrandId } from "../_lib/brands.js";
+
+// Brand profiles (see brands.js): GET lists them, editors create/replace and delete.
+export async function onRequestGet({ env }) {
+  return json({ brands: await listBrands(env) }, 200);
+}
+
+// Body: { id?, name, voice?, usp?, category?, marketplaces?, banned_words?, glossary? } –
+// without `id` it comes from the name ("Acme Naturals" → acme-naturals); saving an existing id replaces it.
+export async function onRequestPost({ request, env, data }) {
+  const denied = requireRole(data, "editor");
+  if (denied) return denied;
+
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    return json({ error: "Invalid JSON body" }, 400);
+  }
+
+  const checked = sanitizeBrand(body);
+  if (!checked.ok) return json({ error: checked.error }, 400);
+
+  const existing = await getBrand(env, checked.brand.id);
+  const brand = await saveBrand(env, {
+    ...checked.brand,
+    created_at: existing?.created_at || new Date().toISOString(),
+    updated_by: data.auth.sub,
+  });
+  return json({ brand, created: !existing }, 200);
+}
+
+// DELETE /api/brands?id=...
+export async function onRequestDelete({ request, env, data }) {
+  const denied = requireRole(data, "editor");
+  if (denied) return denied;
+
+  const id = String(new URL(request.url).searchParams.get("id") || "").trim().toLowerCase();
+  if (!isValidBrandId(id)) return json({ error: "Missing or invalid id" }, 400);
+  if (!(await getBrand(env, id))) return json({ error: "Unknown brand profile" }, 404);
+
+  await deleteBrand(env, id);
+  return json({ ok: true }, 200);
+}
@@ -0,0 +1,47 @@
+import { json } from "../_lib/http.js";
+import { requireRole } from "../_lib/auth.js";
+import { LEXICONS, SEVERITIES, listCustomRules, saveCustomRules, sanitizeRule } from "../_lib/compliance.js";
+
+// Built-in lexicon sizes + the custom rules admins added
+export async function onRequestGet({ env }) {
+  const builtin = {};
+  for (const [lang, byCategory] of Object.entries(LEXICONS)) {
+    builtin[lang] = Object.fromEntries(Object.entries(byCategory).map(([c, rules]) => [c, rules.length]));
+  }
+  return json({ builtin, severities: SEVERITIES, custom: await listCustomRules(env) }, 200);
+}
+
+// Admin: add a rule { term, lang?: "*"|"de"|..., category?: "*"|"beauty"|..., severity?, type?, note? }
+export async function onRequestPost({ request, env, data }) {
+  const denied = requireRole(data, "admin");
+  if (denied) return denied;
+
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    return json({ error: "Invalid JSON body" }, 400);
+  }
+
+  const checked = sanitizeRule(body);
+  if (!checked.ok) return json({ error: checked.error }, 400);
+
+  const rules = await listCustomRules(env);
+  rules.push({ ...checked.rule, created_by: data.auth.sub, created_at: new Date().toISOString() });
+  await saveCustomRules(env, rules);
+  return json({ rule: checked.rule }, 201);
+}
+
+// DELETE /api/compliance?id=...
+export async function onRequestDelete({ request, env, data }) {
+  const denied = requireRole(data, "admin");
+  if (denied) return denied;
+
+  const id = String(new URL(request.url).searchParams.get("id") || "").trim();
+  const rules = await listCustomRules(env);
+  const left = rules.filter((x) => x.id !== id);
+  if (!id || left.length === rules.length) return json({ error: "Unknown rule id" }, 404);
+
+  await saveCustomRules(env, left);
+  return json({ ok: true }, 200);
+}
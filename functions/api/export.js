@@ -0,0 +1,77 @@
+import { json } from "../_lib/http.js";
+import { requireRole } from "../_lib/auth.js";
+import { variantsFromText, variantsFromObjects, pickVariants } from "../_lib/listing.js";
+import { getTemplate } from "../_lib/templates.js";
+import { buildFlatFileRows, UPDATE_MODES } from "../_lib/flatfile.js";
+import { toCsv } from "../_lib/csv.js";
+import { buildXlsx, XLSX_CONTENT_TYPE } from "../_lib/xlsx.js";
+
+// POST /api/export – listing → Amazon inventory flat file (CSV or XLSX download).
+// Body: {
+//   format: "csv" | "xlsx",
+//   output?: A–D text (the edited result) | variants?: [{ title, bullets, description, backend_terms }],
+//   variant?: "A" | "VARIANT B" | "all"   (default: the first one),
+//   sku?, product_type?, gtin?, brand_name, category?, update_delete?,
+//   product?: { sku, gtin }              (scraped JSON-LD, as returned by /api/generate)
+// }
+// With variant "all" every variant becomes a row and the SKU gets a -A/-B/-C suffix.
+export async function onRequestPost({ request, data }) {
+  const denied = requireRole(data, "editor");
+  if (denied) return denied;
+
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    return json({ error: "Invalid JSON body" }, 400);
+  }
+
+  const format = String(body.format || "csv").trim().toLowerCase();
+  if (format !== "csv" && format !== "xlsx") {
+    return json({ error: "Invalid format, expected \"csv\" or \"xlsx\"" }, 400);
+  }
+
+  const list = body.variants != null ? variantsFromObjects(body.variants) : variantsFromText(String(body.output || ""));
+  if (!list || !list.some((v) => v.title || v.bullets.length)) {
+    return json({ error: "Nothing to export – send `output` (A–D text) or `variants`" }, 400);
+  }
+
+  const picked = pickVariants(list, body.variant);
+  if (!picked.length) return json({ error: `Unknown variant: ${body.variant}` }, 400);
+
+  // request first, then the scraped product data
+  const sku = String(body.sku || body.product?.sku || "").trim();
+  const gtin = String(body.gtin || body.product?.gtin || "").replace(/[\s-]/g, "");
+  const categoryId = typeof body.category === "object" ? body.category?.id : body.category;
+  const productType = String(body.product_type || getTemplate(categoryId).product_type || "").trim();
+  const brandName = String(body.brand_name || "").trim();
+  const updateDelete = String(body.update_delete || "Update").trim();
+
+  if (!sku) return json({ error: "Missing sku (not in the request or the scraped product data)" }, 400);
+  if (!productType) return json({ error: "Missing product_type" }, 400);
+  if (!UPDATE_MODES.includes(updateDelete)) {
+    return json({ error: `update_delete must be one of: ${UPDATE_MODES.join(", ")}` }, 400);
+  }
+
+  const multi = picked.length > 1;
+  const rows = buildFlatFileRows(
+    picked.map((v, i) => ({
+      variant: v,
+      sku: multi ? `${sku}-${String.fromCharCode(65 + i)}` : sku,
+      product_type: productType,
+      brand_name: brandName,
+      product_id: gtin,
+      update_delete: updateDelete,
+    }))
+  );
+
+  const filename = `flatfile-${sku.replace(/[^A-Za-z0-9._-]+/g, "_")}.${format}`;
+  const headers = { "Content-Disposition": `attachment; filename="${filename}"`, "Cache-Control": "no-store" };
+
+  if (format === "xlsx") {
+    return new Response(buildXlsx(rows, { sheetName: "Template" }), {
+      headers: { "Content-Type": XLSX_CONTENT_TYPE, ...headers },
+    });
+  }
+  return new Response(toCsv(rows), { headers: { "Content-Type": "text/csv; charset=utf-8", ...headers } });
+}
@@ -0,0 +1,50 @@
+import { json } from "../../_lib/http.js";
+import { variantsFromText, variantsFromObjects } from "../../_lib/listing.js";
+import { findOwnListing, getVersion, saveEdit, deleteListing } from "../../_lib/history.js";
+
+// GET /api/history/:id?version=n – the listing (with its version list) and one full version
+// (default: the latest)
+export async function onRequestGet({ request, env, data, params }) {
+  const found = await findOwnListing(env, data, params.id);
+  if (found.response) return found.response;
+  const listing = found.listing;
+
+  const requested = new URL(request.url).searchParams.get("version");
+  const version = await getVersion(env, listing.id, requested || listing.latest);
+  if (!version) return json({ error: `Unknown version: ${requested}` }, 404);
+  return json({ listing, version }, 200);
+}
+
+// POST /api/history/:id – manual edit as a new version: { output | variants, note?, sku? }
+// The edit is validated like a generation; the report comes back with the new version.
+export async function onRequestPost({ request, env, data, params }) {
+  const found = await findOwnListing(env, data, params.id, "editor");
+  if (found.response) return found.response;
+
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    return json({ error: "Invalid JSON body" }, 400);
+  }
+
+  const list = body.variants != null ? variantsFromObjects(body.variants) : variantsFromText(String(body.output || ""));
+  if (!list || !list.some((v) => v.title || v.bullets.length)) {
+    return json({ error: "Nothing to save – send `output` (A–D text) or `variants`" }, 400);
+  }
+
+  const saved = await saveEdit(env, data.auth, found.listing, { list, note: body.note, sku: body.sku });
+  if (saved.error) return json({ error: saved.error }, 400);
+
+  const { check, keywords, ...history } = saved;
+  return json({ history, validation: check.validation, compliance: check.compliance, keywords }, 200);
+}
+
+// DELETE /api/history/:id – the listing and all its versions
+export async function onRequestDelete({ env, data, params }) {
+  const found = await findOwnListing(env, data, params.id, "editor");
+  if (found.response) return found.response;
+
+  await deleteListing(env, found.listing);
+  return json({ ok: true }, 200);
+}
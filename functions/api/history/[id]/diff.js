@@ -0,0 +1,21 @@
+import { json } from "../../../_lib/http.js";
+import { findOwnListing, getVersion } from "../../../_lib/history.js";
+import { diffListings } from "../../../_lib/diff.js";
+
+// GET /api/history/:id/diff?from=1&to=3 – field-level diff between two versions
+// (default: the previous version against the latest)
+export async function onRequestGet({ request, env, data, params }) {
+  const found = await findOwnListing(env, data, params.id);
+  if (found.response) return found.response;
+  const listing = found.listing;
+
+  const p = new URL(request.url).searchParams;
+  const to = Number(p.get("to") || listing.latest);
+  const from = Number(p.get("from") || Math.max(1, to - 1));
+
+  const [a, b] = await Promise.all([getVersion(env, listing.id, from), getVersion(env, listing.id, to)]);
+  if (!a || !b) return json({ error: `Unknown version: ${!a ? from : to}` }, 404);
+
+  const variants = diffListings(a.variants, b.variants);
+  return json({ from, to, changed: variants.some((v) => v.changed), variants }, 200);
+}
@@ -0,0 +1,22 @@
+import { json } from "../../_lib/http.js";
+import { requireRole } from "../../_lib/auth.js";
+import { searchListings } from "../../_lib/history.js";
+
+// GET /api/history?q=&brand=&sku=&marketplace=&limit= – saved listings, newest first
+// (own listings; admins see everyone's)
+export async function onRequestGet({ request, env, data }) {
+  const denied = requireRole(data, "viewer");
+  if (denied) return denied;
+
+  const p = new URL(request.url).searchParams;
+  const limit = Math.max(1, Math.min(200, Number(p.get("limit")) || 50));
+  const listings = await searchListings(env, {
+    owner: data.auth.role === "admin" ? undefined : data.auth.sub,
+    q: p.get("q") || "",
+    brand: p.get("brand") || "",
+    sku: p.get("sku") || "",
+    marketplace: p.get("marketplace") || "",
+    limit,
+  });
+  return json({ listings }, 200);
+}
@@ -0,0 +1,106 @@
+import { json } from "../_lib/http.js";
+import { requireRole } from "../_lib/auth.js";
+import { enforceLimits, getUsageReport, recordUsage, tooManyRequests } from "../_lib/limits.js";
+import { variantsFromText, variantsFromObjects, pickVariants } from "../_lib/listing.js";
+import { parseLocalizeRequest, runLocalization } from "../_lib/localize.js";
+import { findOwnListing, getVersion, saveGeneration } from "../_lib/history.js";
+import { applyBrandDefaults } from "../_lib/brands.js";
+
+// POST /api/localize – one master listing → localized listings for several marketplaces.
+// Body: {
+//   master: { output | variants | history_id, version?, marketplace },   (history: marketplace etc. from the version)
+//   variant?: "A" | "B" | "C"        (which master variant, default the first),
+//   targets: ["amazon.fr", "amazon.it", ...],     (default: the brand profile's marketplaces)
+//   brand?, brand_name?, usp?, sku?, category?, profile?, constraints?, repair_attempts?, provider?, save?
+// }
+// Each finished locale counts as one generation and is saved to the history (save: false skips it).
+export async function onRequestPost({ request, env, data }) {
+  const denied = requireRole(data, "editor");
+  if (denied) return denied;
+
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    return json({ error: "Invalid JSON body" }, 400);
+  }
+
+  const m = body.master || {};
+  let list;
+  let base = null; // history version the master comes from
+  let sku = String(body.sku || "").trim();
+  if (m.history_id) {
+    const found = await findOwnListing(env, data, m.history_id, "editor");
+    if (found.response) return found.response;
+    sku ||= found.listing.sku;
+    base = await getVersion(env, found.listing.id, m.version || found.listing.latest);
+    if (!base) return json({ error: `Unknown version: ${m.version}` }, 404);
+    list = base.variants;
+  } else {
+    list = m.variants != null ? variantsFromObjects(m.variants) : variantsFromText(String(m.output || ""));
+  }
+  const master = list ? pickVariants(list, body.variant)[0] : null;
+  if (!master) return json({ error: "Missing master – send master.output, master.variants or master.history_id" }, 400);
+
+  // fields still empty after the history version come from the brand profile
+  const branded = await applyBrandDefaults(env, {
+    ...body,
+    master: { variant: master, marketplace: m.marketplace || base?.inputs.marketplace },
+    brand: body.brand ?? base?.inputs.brand,
+    brand_name: body.brand_name || base?.inputs.brand_name,
+    usp: body.usp ?? base?.inputs.usp,
+    category: body.category || base?.category?.id,
+    profile: body.profile ?? base?.inputs.profile,
+  });
+  if (!branded.ok) return json({ error: branded.error }, branded.status);
+
+  const parsed = parseLocalizeRequest(env, {
+    ...branded.body,
+    targets: body.targets ?? branded.brand?.marketplaces,
+  });
+  if (!parsed.ok) return json({ error: parsed.error }, parsed.status);
+  if (!parsed.req.targets.length) return json({ error: "No target marketplace other than the master's" }, 400);
+
+  const limited = await enforceLimits(env, data.auth);
+  if (limited) return limited;
+
+  // every locale is a generation – all of them have to fit into the monthly quota
+  const report = await getUsageReport(env, data.auth);
+  const needed = parsed.req.targets.length;
+  if (report.remaining.generations != null && report.remaining.generations < needed) {
+    const secs = (Date.parse(report.resets_at) - Date.now()) / 1000;
+    return tooManyRequests(`Localization needs ${needed} generations, only ${report.remaining.generations} left this month`, secs);
+  }
+
+  const usage = { tokens: 0 };
+  let res;
+  try {
+    res = await runLocalization(env, parsed.req, { signal: request.signal, usage });
+  } finally {
+    const done = res ? res.body.locales.filter((l) => !l.error).length : 0;
+    await recordUsage(env, data.auth, { generations: done, tokens: usage.tokens });
+  }
+
+  if (res.status === 200 && body.save !== false) {
+    const req = parsed.req;
+    for (const loc of res.body.locales) {
+      if (loc.error) continue;
+      loc.history = await saveGeneration(env, data.auth, {
+        body: {
+          marketplace: loc.marketplace,
+          brand_name: req.brandName,
+          brand: req.brand,
+          usp: req.usp,
+          user_prompt: `Localized from ${req.source}${m.history_id ? ` (history ${m.history_id})` : ""}`,
+          category: loc.category.id,
+          profile: req.profile,
+          constraints: req.constraints,
+        },
+        res: { body: { ...loc, provider: res.body.provider }, list: loc.variants, context: null },
+        source: "localize",
+        sku,
+      });
+    }
+  }
+  return json(res.body, res.status);
+}
@@ -0,0 +1,9 @@
+import { json } from "../_lib/http.js";
+import { revokeToken } from "../_lib/auth.js";
+
+// Invalidates the token that made this request
+export async function onRequestPost({ data, env }) {
+  const { jti, exp } = data.auth;
+  await revokeToken(env, jti, exp);
+  return json({ ok: true }, 200);
+}
@@ -0,0 +1,67 @@
+import { json } from "../_lib/http.js";
+import { requireRole } from "../_lib/auth.js";
+import {
+  listProfiles,
+  saveProfile,
+  deleteProfile,
+  sanitizeConstraints,
+  sanitizeAppliesTo,
+  isValidProfileName,
+  BUILTIN_PROFILES,
+  CONSTRAINT_FIELDS,
+} from "../_lib/profiles.js";
+
+export async function onRequestGet({ env }) {
+  const profiles = await listProfiles(env);
+  return json({ profiles: Object.values(profiles), fields: Object.keys(CONSTRAINT_FIELDS) }, 200);
+}
+
+// Admin: create/replace { name, description?, constraints, applies_to? }.
+// Saving under a built-in name overrides the built-in; deleting it restores the original.
+export async function onRequestPost({ request, env, data }) {
+  const denied = requireRole(data, "admin");
+  if (denied) return denied;
+
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    return json({ error: "Invalid JSON body" }, 400);
+  }
+
+  const name = String(body.name || "").trim().toLowerCase();
+  if (!isValidProfileName(name)) {
+    return json({ error: "Invalid profile name (2–48 chars: a-z 0-9 _ -)" }, 400);
+  }
+
+  const checked = sanitizeConstraints(body.constraints);
+  if (!checked.ok) return json({ error: checked.error }, 400);
+
+  const profile = await saveProfile(env, {
+    name,
+    description: String(body.description || "").trim().slice(0, 200),
+    constraints: checked.constraints,
+    applies_to: sanitizeAppliesTo(body.applies_to),
+    updated_by: data.auth.sub,
+  });
+  return json({ profile }, 200);
+}
+
+// DELETE /api/profiles?name=...
+export async function onRequestDelete({ request, env, data }) {
+  const denied = requireRole(data, "admin");
+  if (denied) return denied;
+
+  const name = String(new URL(request.url).searchParams.get("name") || "").trim().toLowerCase();
+  if (!name) return json({ error: "Missing name" }, 400);
+
+  const profiles = await listProfiles(env);
+  const builtin = Object.hasOwn(BUILTIN_PROFILES, name);
+  if (!profiles[name] || profiles[name].builtin) {
+    const msg = builtin ? "Built-in profiles cannot be deleted" : "Unknown profile";
+    return json({ error: msg }, builtin ? 400 : 404);
+  }
+
+  await deleteProfile(env, name);
+  return json({ ok: true, restored_builtin: builtin }, 200);
+}
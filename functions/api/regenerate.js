@@ -0,0 +1,95 @@
+import { json } from "../_lib/http.js";
+import { requireRole } from "../_lib/auth.js";
+import { enforceLimits, recordUsage } from "../_lib/limits.js";
+import { variantsFromText, variantsFromObjects, pickVariants } from "../_lib/listing.js";
+import { parseRegenerateRequest, runRegeneration } from "../_lib/regenerate.js";
+import { findOwnListing, getVersion, saveGeneration } from "../_lib/history.js";
+import { applyBrandDefaults } from "../_lib/brands.js";
+
+// POST /api/regenerate – rewrites chosen fields of an existing listing, the rest stays (see regenerate.js).
+// Body: {
+//   listing: { output | variants | history_id, version? }, variant?: "A" | "B" | "C",
+//   targets: ["title", "bullet:3", "bullets", "description", "backend_terms"], locked?: [...], guidance?,
+//   marketplace?, brand?, brand_name?, brand_voice?, usp?, user_prompt?, category?, profile?, constraints?,
+//   repair_attempts?, provider?, save?, note?
+// }
+// With history_id the rules, product info and keywords come from that version – `output` /
+// `variants` next to it replace the version's text (unsaved edits) – and the result is saved as
+// the listing's next version (save: false skips it). Counts as one generation.
+export async function onRequestPost({ request, env, data }) {
+  const denied = requireRole(data, "editor");
+  if (denied) return denied;
+
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    return json({ error: "Invalid JSON body" }, 400);
+  }
+
+  const l = body.listing || {};
+  let list = null;
+  let base = null; // history version the listing comes from
+  let found = null;
+  if (l.history_id) {
+    found = await findOwnListing(env, data, l.history_id, "editor");
+    if (found.response) return found.response;
+    base = await getVersion(env, found.listing.id, l.version || found.listing.latest);
+    if (!base) return json({ error: `Unknown version: ${l.version}` }, 404);
+    list = base.variants;
+  }
+  if (l.variants != null || l.output != null) {
+    list = l.variants != null ? variantsFromObjects(l.variants) : variantsFromText(String(l.output || ""));
+  }
+  if (!list?.some((v) => v.title || v.bullets.length)) {
+    return json({ error: "Missing listing – send listing.output, listing.variants or listing.history_id" }, 400);
+  }
+  const variant = pickVariants(list, body.variant)[0];
+  if (!variant) return json({ error: `Unknown variant: ${String(body.variant).slice(0, 20)}` }, 400);
+
+  // fields still empty after the history version come from the brand profile
+  const branded = await applyBrandDefaults(env, {
+    ...body,
+    list,
+    index: list.indexOf(variant),
+    marketplace: body.marketplace || base?.inputs.marketplace,
+    brand: body.brand ?? base?.inputs.brand,
+    brand_name: body.brand_name || base?.inputs.brand_name,
+    brand_voice: body.brand_voice ?? base?.inputs.brand_voice,
+    usp: body.usp ?? base?.inputs.usp,
+    user_prompt: body.user_prompt || base?.context?.text || base?.inputs.user_prompt,
+    category: body.category || base?.category?.id,
+    profile: body.profile ?? base?.inputs.profile,
+    constraints: body.constraints ?? base?.inputs.constraints,
+    keywords: base?.inputs.keywords,
+  });
+  if (!branded.ok) return json({ error: branded.error }, branded.status);
+
+  const parsed = parseRegenerateRequest(env, branded.body);
+  if (!parsed.ok) return json({ error: parsed.error }, parsed.status);
+
+  const limited = await enforceLimits(env, data.auth);
+  if (limited) return limited;
+
+  const usage = { tokens: 0 };
+  let res;
+  try {
+    res = await runRegeneration(env, parsed.req, { signal: request.signal, usage });
+  } finally {
+    await recordUsage(env, data.auth, { generations: res?.status === 200 ? 1 : 0, tokens: usage.tokens });
+  }
+
+  // a history listing gets the result as its next version
+  if (res.status === 200 && base && body.save !== false) {
+    const b = branded.body;
+    res.body.history = await saveGeneration(env, data.auth, {
+      body: { ...base.inputs, ...b, user_prompt: base.inputs.user_prompt, category: res.body.category.id },
+      res: { body: res.body, list, context: base.context, keywords: base.inputs.keywords },
+      source: "regenerate",
+      sku: found.listing.sku,
+      listingId: found.listing.id,
+      note: body.note || `${res.body.regenerated.join(", ")}${parsed.req.guidance ? ` – ${parsed.req.guidance}` : ""}`,
+    });
+  }
+  return json(res.body, res.status);
+}
@@ -0,0 +1,33 @@
+import { json } from "../_lib/http.js";
+import { requireRole, revokeToken } from "../_lib/auth.js";
+import { getStore } from "../_lib/store.js";
+import { getUser, saveUser } from "../_lib/users.js";
+import { TOKEN_TTL_SECONDS } from "../_lib/token.js";
+
+// Admin: { jti } revokes one token, { username } revokes every token of that user
+export async function onRequestPost({ request, env, data }) {
+  const denied = requireRole(data, "admin");
+  if (denied) return denied;
+
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    return json({ error: "Invalid JSON body" }, 400);
+  }
+
+  const jti = String(body.jti || "").trim();
+  if (jti) {
+    // we don't know that token's exp here – keep the marker for the full TTL
+    await revokeToken(env, jti, Math.floor(Date.now() / 1000) + TOKEN_TTL_SECONDS);
+    return json({ ok: true, revoked: { jti } }, 200);
+  }
+
+  const store = getStore(env);
+  const user = await getUser(store, body.username);
+  if (!user) return json({ error: "Unknown user" }, 404);
+
+  user.tokens_valid_after = Date.now();
+  await saveUser(store, user);
+  return json({ ok: true, revoked: { username: user.username } }, 200);
+}
@@ -0,0 +1,39 @@
+import { json } from "../_lib/http.js";
+import { requireRole } from "../_lib/auth.js";
+import { looksLikeUrl } from "../_lib/scrape.js";
+import { scrapeProduct, factsToText } from "../_lib/facts.js";
+
+// POST /api/scrape { url, refresh? } – preview of what generation would read from a product page:
+// structured facts to review/edit (sent back to /api/generate as `facts`), warnings and the
+// prompt text. Cached by URL (SCRAPE_CACHE_TTL); refresh: true fetches again.
+export async function onRequestPost({ request, env, data }) {
+  const denied = requireRole(data, "editor");
+  if (denied) return denied;
+
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    return json({ error: "Invalid JSON body" }, 400);
+  }
+
+  const url = String(body.url || "").trim();
+  if (!looksLikeUrl(url)) return json({ error: "Missing or invalid url (http/https)" }, 400);
+
+  const s = await scrapeProduct(env, url, { refresh: body.refresh === true });
+  if (!s.ok) return json({ error: s.error, warnings: s.warnings }, 502);
+
+  return json(
+    {
+      url: s.url,
+      final_url: s.ctx.final_url || s.url,
+      cached: s.cached,
+      fetched_at: s.fetched_at,
+      status: s.ctx.status,
+      facts: s.facts,
+      warnings: s.warnings,
+      context_text: factsToText(s.facts),
+    },
+    200
+  );
+}
@@ -0,0 +1,6 @@
+import { json } from "../_lib/http.js";
+import { getUsageReport } from "../_lib/limits.js";
+
+export async function onRequestGet({ env, data }) {
+  return json(await getUsageReport(env, data.auth), 200);
+}
@@ -0,0 +1,98 @@
+import { json } from "../_lib/http.js";
+import { requireRole } from "../_lib/auth.js";
+import { sanitizeLimits } from "../_lib/limits.js";
+import { getStore } from "../_lib/store.js";
+import {
+  getUser,
+  saveUser,
+  createUser,
+  deleteUser,
+  listUsers,
+  hashPassword,
+  normalizeUsername,
+  isValidUsername,
+  isValidRole,
+  publicUser,
+  ROLES,
+} from "../_lib/users.js";
+
+export async function onRequestGet({ env, data }) {
+  const denied = requireRole(data, "admin");
+  if (denied) return denied;
+
+  const users = await listUsers(getStore(env));
+  return json({ users: users.map(publicUser), roles: ROLES }, 200);
+}
+
+// Create or update: { username, password?, role?, disabled?, limits? }
+export async function onRequestPost({ request, env, data }) {
+  const denied = requireRole(data, "admin");
+  if (denied) return denied;
+
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    return json({ error: "Invalid JSON body" }, 400);
+  }
+
+  const username = normalizeUsername(body.username);
+  if (!isValidUsername(username)) {
+    return json({ error: "Invalid username (2–48 chars: a-z 0-9 . _ -)" }, 400);
+  }
+  if (body.role != null && !isValidRole(body.role)) {
+    return json({ error: `Invalid role, expected one of: ${ROLES.join(", ")}` }, 400);
+  }
+  const password = body.password != null ? String(body.password) : "";
+  if (body.password != null && password.length < 8) {
+    return json({ error: "Password must be at least 8 characters" }, 400);
+  }
+
+  const limits = sanitizeLimits(body.limits);
+  if (!limits.ok) return json({ error: limits.error }, 400);
+
+  const store = getStore(env);
+  const existing = await getUser(store, username);
+
+  if (!existing) {
+    if (!password) return json({ error: "Missing password" }, 400);
+    const user = await createUser(store, { username, password, role: body.role || "editor" });
+    if (limits.limits) {
+      user.limits = limits.limits;
+      await saveUser(store, user);
+    }
+    return json({ user: publicUser(user) }, 201);
+  }
+
+  if (existing.id === data.auth.sub && (body.disabled || (body.role && body.role !== "admin"))) {
+    return json({ error: "You cannot demote or disable yourself" }, 400);
+  }
+
+  if (body.role) existing.role = body.role;
+  if (body.disabled != null) existing.disabled = !!body.disabled;
+  // {} clears the overrides back to the env defaults
+  if (limits.limits) existing.limits = limits.limits;
+  if (password) {
+    existing.password_hash = await hashPassword(password);
+    // a password change logs out every existing session
+    existing.tokens_valid_after = Date.now();
+  }
+  await saveUser(store, existing);
+  return json({ user: publicUser(existing) }, 200);
+}
+
+// DELETE /api/users?username=...
+export async function onRequestDelete({ request, env, data }) {
+  const denied = requireRole(data, "admin");
+  if (denied) return denied;
+
+  const username = normalizeUsername(new URL(request.url).searchParams.get("username"));
+  if (!username) return json({ error: "Missing username" }, 400);
+  if (username === data.auth.sub) return json({ error: "You cannot delete yourself" }, 400);
+
+  const store = getStore(env);
+  if (!(await getUser(store, username))) return json({ error: "Unknown user" }, 404);
+
+  await deleteUser(store, username);
+  return json({ ok: true }, 200);
+}
@@ -0,0 +1,80 @@
+import { json } from "../_lib/http.js";
+import { variantsFromText, variantsFromObjects } from "../_lib/listing.js";
+import { validationLimits } from "../_lib/validate.js";
+import { MARKETPLACES } from "../_lib/marketplaces.js";
+import { isKnownCategory } from "../_lib/templates.js";
+import { sanitizeConstraints } from "../_lib/profiles.js";
+import { applyBrandDefaults } from "../_lib/brands.js";
+import { resolveListingRules } from "../_lib/pipeline.js";
+import { scoreVariants } from "../_lib/scoring.js";
+import { findOwnListing, getVersion, checkEdit } from "../_lib/history.js";
+
+// POST /api/validate – re-checks an edited listing without saving it (the UI's field editor).
+// Body: { output | variants, history_id? } – with history_id the rules (and keywords) of that
+// listing's latest version, like a saved edit; otherwise
+// { marketplace, brand_name, brand?, category?, profile?, constraints? }.
+// Returns { variants, limits, validation, compliance, keywords?, scores? (several variants), category, profile, brand }.
+export async function onRequestPost({ request, env, data }) {
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    return json({ error: "Invalid JSON body" }, 400);
+  }
+
+  const list = body.variants != null ? variantsFromObjects(body.variants) : variantsFromText(String(body.output || ""));
+  if (!list || !list.some((v) => v.title || v.bullets.length)) {
+    return json({ error: "Nothing to validate – send `output` (A–D text) or `variants`" }, 400);
+  }
+
+  let checked;
+  let marketplace;
+  if (body.history_id) {
+    const found = await findOwnListing(env, data, body.history_id);
+    if (found.response) return found.response;
+    const base = await getVersion(env, found.listing.id, found.listing.latest);
+    if (!base) return json({ error: "Listing has no versions" }, 400);
+    marketplace = base.inputs.marketplace;
+    checked = await checkEdit(env, base, list);
+  } else {
+    const branded = await applyBrandDefaults(env, body);
+    if (!branded.ok) return json({ error: branded.error }, branded.status);
+    const b = branded.body;
+
+    marketplace = String(b.marketplace || "").trim();
+    if (!MARKETPLACES[marketplace]) return json({ error: `Unknown marketplace, expected one of: ${Object.keys(MARKETPLACES).join(", ")}` }, 400);
+    const categoryRaw = String(b.category || "auto").trim().toLowerCase();
+    if (categoryRaw !== "auto" && !isKnownCategory(categoryRaw)) return json({ error: `Unknown category: ${categoryRaw}` }, 400);
+    if (b.constraints != null) {
+      const c = sanitizeConstraints(b.constraints, { partial: true });
+      if (!c.ok) return json({ error: c.error }, 400);
+    }
+
+    const rules = await resolveListingRules(env, {
+      marketplace,
+      categoryRaw,
+      productText: list.map((v) => v.title).join("\n"),
+      profile: b.profile,
+      constraints: b.constraints,
+      brandName: String(b.brand_name || "").trim(),
+      brand: branded.brand?.id,
+    });
+    checked = rules.ok ? { rules, check: rules.check(list), keywords: null } : { error: rules.error };
+  }
+  if (checked.error) return json({ error: checked.error }, 400);
+
+  const { rules, check, keywords } = checked;
+  const reports = { validation: check.validation, compliance: check.compliance, ...(keywords ? { keywords } : {}) };
+  return json(
+    {
+      variants: list,
+      limits: validationLimits(rules.cfg),
+      ...reports,
+      ...(list.length > 1 ? { scores: scoreVariants(list, { ...reports, marketplace }) } : {}),
+      category: rules.category,
+      profile: rules.profile,
+      brand: rules.brand,
+    },
+    200
+  );
+}
@@ -0,0 +1,35 @@
+import { json } from "../_lib/http.js";
+import { requireRole } from "../_lib/auth.js";
+import { enforceLimits, recordUsage } from "../_lib/limits.js";
+import { parseVisionRequest, runVision } from "../_lib/vision.js";
+
+// POST /api/vision – facts, alt text and a main-image checklist from product images (see vision.js).
+// Body: { marketplace, brand_name?, images?: [URL | data URL | { data, media_type?, name? }], url?, provider? }
+// `url` adds the images of that product page (JSON-LD). The facts are not used until the seller
+// sends them to /api/generate as `image_facts`. Counts tokens, not a generation.
+export async function onRequestPost({ request, env, data }) {
+  const denied = requireRole(data, "editor");
+  if (denied) return denied;
+
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    return json({ error: "Invalid JSON body" }, 400);
+  }
+
+  const parsed = parseVisionRequest(env, body);
+  if (!parsed.ok) return json({ error: parsed.error }, parsed.status);
+
+  const limited = await enforceLimits(env, data.auth);
+  if (limited) return limited;
+
+  const usage = { tokens: 0 };
+  let res;
+  try {
+    res = await runVision(env, parsed.req, { signal: request.signal, usage });
+  } finally {
+    await recordUsage(env, data.auth, { generations: 0, tokens: usage.tokens });
+  }
+  return json(res.body, res.status);
+}